@@ -0,0 +1,114 @@
+let entries = [];
+let bufferedTraces = 0;
+let bufferedBytes = 0;
+let oldestTimestamp;
+let warnedUnbuffered = false;
+
+/**
+ * Resolve the trace buffering policy from the user configuration.
+ * @param {object} buffer user defined buffer options.
+ * @returns {object} the buffer policy.
+ */
+export function resolveBuffer(buffer) {
+    return Object.assign({
+        enabled: false,
+        maxTraces: 20,
+        maxBytes: 512 * 1024,
+        maxAgeMs: 10000,
+    }, buffer);
+}
+
+/**
+ * Whether an exporter can send buffered traces, which requires sending several
+ * of them in a single call with `exportBatch`.
+ * @param {object} exporter the exporter.
+ * @returns {boolean} true if traces of the exporter can be buffered.
+ */
+export function supportsBuffering(exporter) {
+    return typeof exporter.exportBatch === 'function';
+}
+
+/**
+ * Warn, once per isolate, that buffering is enabled with exporters that can't
+ * send buffered traces in a single request, such as the Epsagon exporter. Their
+ * traces are sent when their request is done, as without buffering.
+ * @param {array} exporters the configured exporters.
+ */
+export function warnUnbuffered(exporters) {
+    if (warnedUnbuffered || exporters.every(supportsBuffering)) return;
+    warnedUnbuffered = true;
+    console.log('warning in Epsagon buffer > exporters without exportBatch, such as the epsagon exporter, send their traces unbuffered');
+}
+
+/**
+ * Export payloads, sending those of the same destination in a single call, so
+ * a flush makes one request per destination.
+ * @param {array} items exporters supporting buffering and the payloads they formatted.
+ * @returns {Promise} resolved once every payload is sent.
+ */
+function exportItems(items) {
+    const groups = new Map();
+    items.forEach(({ exporter, payload }) => {
+        const key = typeof exporter.batchKey === 'function' ? exporter.batchKey() : exporter;
+        if (!groups.has(key)) groups.set(key, { exporter, payloads: [] });
+        groups.get(key).payloads.push(payload);
+    });
+    return Promise.all(Array.from(groups.values())
+        .map(({ exporter, payloads }) => exporter.exportBatch(payloads)));
+}
+
+/**
+ * Send every buffered trace, emptying the buffer.
+ * @returns {Promise} resolved once the buffered traces are sent.
+ */
+export function flushBuffer() {
+    const items = entries;
+    entries = [];
+    bufferedTraces = 0;
+    bufferedBytes = 0;
+    oldestTimestamp = undefined;
+    return items.length ? exportItems(items) : Promise.resolve();
+}
+
+/**
+ * Drop the buffered traces without sending them and forget the warnings given,
+ * restoring the initial state of the isolate, as between tests.
+ */
+export function resetBuffer() {
+    entries = [];
+    bufferedTraces = 0;
+    bufferedBytes = 0;
+    oldestTimestamp = undefined;
+    warnedUnbuffered = false;
+}
+
+/**
+ * Add a trace to the isolate buffer, flushing it once it holds `maxTraces`
+ * traces or its oldest trace is older than `maxAgeMs`. The buffer never holds
+ * more than `maxBytes`: it is flushed before a trace that would exceed the
+ * limit is added, and a trace larger than the limit is sent on its own.
+ * Buffered traces are only sent by a later request, so the caller must wait
+ * for the returned promise within the `waitUntil` of its request.
+ * @param {array} items exporters supporting buffering and the payloads they
+ * formatted for the trace.
+ * @param {object} policy the buffer policy.
+ * @returns {Promise} resolved once the traces flushed by this call are sent.
+ */
+export function bufferTrace(items, policy) {
+    const size = JSON.stringify(items.map(item => item.payload)).length;
+    const sending = [];
+    if (bufferedBytes + size > policy.maxBytes) sending.push(flushBuffer());
+    if (size > policy.maxBytes) {
+        sending.push(exportItems(items));
+    } else {
+        entries.push(...items);
+        bufferedTraces += 1;
+        bufferedBytes += size;
+        oldestTimestamp = oldestTimestamp || Date.now();
+    }
+    if (bufferedTraces >= policy.maxTraces ||
+        (oldestTimestamp && Date.now() - oldestTimestamp >= policy.maxAgeMs)) {
+        sending.push(flushBuffer());
+    }
+    return Promise.all(sending);
+}
@@ -0,0 +1,135 @@
+const TRUNCATION_MARKER = '...[truncated]';
+
+/**
+ * Normalize a content type for comparison, ignoring case and whitespace.
+ * @param {string} contentType the content type.
+ * @returns {string} the normalized content type.
+ */
+const normalizeContentType = contentType => contentType.toLowerCase().replace(/\s+/g, '');
+
+/**
+ * Resolve the body capture policy from the user configuration.
+ * @param {object} capture user defined capture options.
+ * @returns {object} the capture policy.
+ */
+export function resolveCapture(capture) {
+    const policy = Object.assign({
+        requestBody: false,
+        responseBody: true,
+        contentTypes: ['application/json', 'text/plain'],
+        maxBodySize: 10240,
+        exclude: [],
+    }, capture);
+    policy.contentTypes = policy.contentTypes.map(normalizeContentType);
+    return policy;
+}
+
+/**
+ * Call an excluded route function, a route that fails is treated as excluded.
+ * @param {function} route the route function.
+ * @param {object} request the incoming request.
+ * @returns {boolean} true if the request is excluded.
+ */
+function matchesRouteFunction(route, request) {
+    try {
+        return Boolean(route(request));
+    } catch (error) {
+        console.log('error in Epsagon capture exclude > ', error);
+        return true;
+    }
+}
+
+/**
+ * Whether bodies are captured for a request, checking the excluded routes. A
+ * route is a path prefix, a regular expression tested against the path, or a
+ * function called with the request.
+ * @param {object} policy the capture policy.
+ * @param {object} request the incoming request.
+ * @returns {boolean} true unless the request matches an excluded route.
+ */
+export function isCaptureEnabled(policy, request) {
+    if (!request) return true;
+    const { pathname } = new URL(request.url);
+    return !policy.exclude.some((route) => {
+        if (typeof route === 'function') return matchesRouteFunction(route, request);
+        if (route instanceof RegExp) return route.test(pathname);
+        return pathname.startsWith(route);
+    });
+}
+
+/**
+ * Whether a content type is allowed by the policy. Allowed types without
+ * parameters match any parameters, and `type/*` matches any subtype.
+ * @param {object} policy the capture policy.
+ * @param {string} contentType the content type of the body.
+ * @returns {boolean} true if the body may be captured.
+ */
+function isAllowedContentType(policy, contentType) {
+    if (!contentType) return false;
+    const normalized = normalizeContentType(contentType);
+    const [mediaType] = normalized.split(';');
+    return policy.contentTypes.some((allowed) => {
+        if (allowed.endsWith('/*')) return mediaType.startsWith(allowed.slice(0, -1));
+        return allowed.includes(';') ? allowed === normalized : allowed === mediaType;
+    });
+}
+
+/**
+ * Read a body stream as text, up to a maximum number of bytes.
+ * @param {object} stream the body stream.
+ * @param {number} maxBytes the maximum number of bytes read.
+ * @returns {Promise} the text, and whether the body was truncated.
+ */
+async function readText(stream, maxBytes) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let size = 0;
+
+    /**
+     * Read the next chunk, cancelling the stream once the limit is reached.
+     * @returns {Promise} true if the body was truncated.
+     */
+    const read = async () => {
+        const { done, value } = await reader.read();
+        if (done) return false;
+        const remaining = maxBytes - size;
+        const chunk = value.byteLength > remaining ? value.subarray(0, remaining) : value;
+        text += decoder.decode(chunk, { stream: true });
+        size += chunk.byteLength;
+        if (chunk !== value) {
+            await reader.cancel();
+            return true;
+        }
+        return read();
+    };
+
+    const truncated = await read();
+    text += decoder.decode();
+    return { text, truncated };
+}
+
+/**
+ * Capture the body of a request or response according to the policy. The body
+ * is always read from a clone, leaving the original untouched.
+ * @param {object} message the request or response.
+ * @param {object} policy the capture policy.
+ * @returns {Promise} the captured body, parsed when it is complete JSON, or
+ * undefined when the body is not captured.
+ */
+export async function captureBody(message, policy) {
+    const contentType = message.headers.get('content-type');
+    if (!message.body || message.bodyUsed || !isAllowedContentType(policy, contentType)) {
+        return undefined;
+    }
+    const { text, truncated } = await readText(message.clone().body, policy.maxBodySize);
+    if (truncated) return `${text}${TRUNCATION_MARKER}`;
+    if (normalizeContentType(contentType).includes('json')) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            return text;
+        }
+    }
+    return text;
+}
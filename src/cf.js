@@ -0,0 +1,45 @@
+export const DEFAULT_CF_FIELDS = [
+    'colo',
+    'country',
+    'region',
+    'city',
+    'asn',
+    'asOrganization',
+    'httpProtocol',
+    'tlsVersion',
+    'clientTcpRtt',
+    'botManagement.score',
+    'botManagement.verifiedBot',
+];
+
+/**
+ * Read a dot separated path of an object.
+ * @param {object} object the object to read.
+ * @param {string} path dot separated property names.
+ * @returns {*} the value, or undefined when part of the path is missing.
+ */
+function getPath(object, path) {
+    return path.split('.').reduce(
+        (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+        object
+    );
+}
+
+/**
+ * Select the allowed fields of the Cloudflare request properties.
+ * @param {object} cf the `request.cf` object.
+ * @param {array} fields allowed fields, nested fields as dot separated paths.
+ * @returns {object} values of the allowed fields that are set, keyed by path,
+ * or undefined when none is.
+ */
+export function pickCfFields(cf, fields) {
+    if (!cf || !Array.isArray(fields)) return undefined;
+    const picked = {};
+    fields.forEach((field) => {
+        const value = getPath(cf, field);
+        if (value !== undefined && value !== null && typeof value !== 'object') {
+            picked[field] = value;
+        }
+    });
+    return Object.keys(picked).length ? picked : undefined;
+}
@@ -0,0 +1,63 @@
+import { getActiveSpan } from './scope';
+
+const CONSOLE_LEVELS = {
+    debug: 'debug',
+    log: 'info',
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+};
+
+let originalMethods;
+let installs = 0;
+
+/**
+ * Format console arguments into a single message.
+ * @param {array} args arguments of the console call.
+ * @returns {string} the message.
+ */
+function formatArgs(args) {
+    return args.map((arg) => {
+        if (typeof arg === 'string') return arg;
+        if (arg instanceof Error) return arg.stack || arg.toString();
+        try {
+            return JSON.stringify(arg);
+        } catch (err) {
+            return String(arg);
+        }
+    }).join(' ');
+}
+
+/**
+ * Replace the console methods with ones that also record the message on the
+ * active span, when it captures console output.
+ */
+export function instrumentConsole() {
+    installs += 1;
+    if (installs > 1) return;
+    originalMethods = {};
+    Object.keys(CONSOLE_LEVELS).forEach((method) => {
+        const original = console[method];
+        originalMethods[method] = original;
+        console[method] = (...args) => {
+            const span = getActiveSpan();
+            if (span && span.config.captureConsole) {
+                span.addLog(CONSOLE_LEVELS[method], formatArgs(args), { source: 'console' });
+            }
+            return original.apply(console, args);
+        };
+    });
+}
+
+/**
+ * Restore the console methods once no request is capturing console output.
+ */
+export function restoreConsole() {
+    installs -= 1;
+    if (installs > 0) return;
+    installs = 0;
+    Object.keys(originalMethods || {}).forEach((method) => {
+        console[method] = originalMethods[method];
+    });
+    originalMethods = undefined;
+}
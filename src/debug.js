@@ -0,0 +1,23 @@
+/**
+ * Log a message when debug mode is enabled.
+ * @param {object} config tracer configuration object.
+ * @param {string} message the message.
+ * @param {*} details optional values logged after the message.
+ */
+export function debugLog(config, message, ...details) {
+    if (config.debug) console.log(`Epsagon debug > ${message}`, ...details);
+}
+
+/**
+ * Log an outgoing payload and the problems its exporter finds in it, when debug
+ * mode is enabled.
+ * @param {object} config tracer configuration object.
+ * @param {object} exporter the exporter that formatted the payload.
+ * @param {object} payload the formatted trace.
+ */
+export function inspectPayload(config, exporter, payload) {
+    if (!config.debug) return;
+    debugLog(config, 'payload', JSON.stringify(payload));
+    const problems = typeof exporter.validate === 'function' ? exporter.validate(payload) : [];
+    if (problems.length) debugLog(config, 'payload problems', problems);
+}
@@ -0,0 +1,94 @@
+import { injectTraceContext } from './propagation';
+
+const STUB_FACTORIES = ['get', 'getByName'];
+
+/**
+ * Send a request to a Durable Object in a child span, carrying the trace context
+ * so the object's own trace links back to the caller.
+ * @param {object} span the span the request belongs to.
+ * @param {object} stub the Durable Object stub.
+ * @param {object} object namespace, id and name of the Durable Object.
+ * @param {array} args arguments of the fetch call.
+ * @returns {Promise} the response of the Durable Object.
+ */
+function traceStubFetch(span, stub, object, args) {
+    const request = new Request(...args);
+    const childSpan = span.startChildSpan(`${object.namespace}.fetch`, 'durable_object');
+    injectTraceContext(request.headers, childSpan.traceContext);
+    childSpan.addRequest(request);
+    childSpan.addData({
+        durable_object: Object.assign({ method: request.method }, object),
+    });
+    let promise;
+    try {
+        promise = Promise.resolve(stub.fetch(request));
+    } catch (err) {
+        promise = Promise.reject(err);
+    }
+    promise
+        .then((response) => {
+            childSpan.addResponse(response);
+            childSpan.finish();
+        })
+        .catch((error) => {
+            childSpan.recordException(error);
+            childSpan.finish();
+        });
+    return promise;
+}
+
+/**
+ * Wrap a Durable Object stub so its fetch calls are recorded as child spans.
+ * @param {object} span the span requests are attached to.
+ * @param {object} stub the Durable Object stub.
+ * @param {object} object namespace, id and name of the Durable Object.
+ * @returns {Proxy} the traced stub.
+ */
+function wrapStub(span, stub, object) {
+    return new Proxy(stub, {
+        /**
+         * Trap stub methods
+         * @param {object} target Durable Object stub.
+         * @param {string} prop the accessed property.
+         * @returns {*} the traced fetch or the original member.
+         */
+        get(target, prop) {
+            const value = Reflect.get(target, prop);
+            if (typeof value !== 'function') return value;
+            if (prop !== 'fetch') return value.bind(target);
+            return (...args) => traceStubFetch(span, target, object, args);
+        },
+    });
+}
+
+/**
+ * Wrap a Durable Object namespace binding so stubs it returns are traced.
+ * @param {object} span the span requests are attached to.
+ * @param {object} namespace the Durable Object namespace binding.
+ * @param {string} name name of the binding, reported as the resource name.
+ * @returns {Proxy} the traced namespace.
+ */
+export default function wrapDurableObjectNamespace(span, namespace, name) {
+    return new Proxy(namespace, {
+        /**
+         * Trap namespace methods
+         * @param {object} target Durable Object namespace.
+         * @param {string} prop the accessed property.
+         * @returns {*} the traced stub factory or the original member.
+         */
+        get(target, prop) {
+            const value = Reflect.get(target, prop);
+            if (typeof value !== 'function') return value;
+            if (!STUB_FACTORIES.includes(prop)) return value.bind(target);
+            return (...args) => {
+                const stub = Reflect.apply(value, target, args);
+                const id = prop === 'get' ? args[0] : stub.id;
+                return wrapStub(span, stub, {
+                    namespace: name,
+                    id: id ? id.toString() : undefined,
+                    name: prop === 'getByName' ? args[0] : id && id.name,
+                });
+            };
+        },
+    });
+}
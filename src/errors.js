@@ -0,0 +1,54 @@
+import { getActiveSpan } from './scope';
+
+let installs = 0;
+
+/**
+ * Describe a thrown value as an exception, whether or not it is an Error.
+ * @param {*} error the thrown value.
+ * @returns {object} type, message and stack of the exception.
+ */
+export function errorToException(error) {
+    if (error && typeof error === 'object') {
+        return {
+            type: error.name || (error.constructor && error.constructor.name) || 'Error',
+            message: error.message !== undefined ? String(error.message) : String(error),
+            stack: error.stack,
+        };
+    }
+    return { type: typeof error, message: String(error), stack: undefined };
+}
+
+/**
+ * Record an error event of the global scope on the span of the running request.
+ * @param {object} event the error or unhandledrejection event.
+ */
+function recordGlobalError(event) {
+    const span = getActiveSpan();
+    if (!span) return;
+    const error = event.type === 'unhandledrejection' ? event.reason : (event.error || event.message);
+    span.recordException(error, { handled: span.config.handledErrors, source: event.type });
+}
+
+/**
+ * Listen to the unhandledrejection and error events of the global scope while
+ * traced requests are in flight.
+ */
+export function instrumentErrors() {
+    if (typeof globalThis.addEventListener !== 'function') return;
+    installs += 1;
+    if (installs > 1) return;
+    globalThis.addEventListener('unhandledrejection', recordGlobalError);
+    globalThis.addEventListener('error', recordGlobalError);
+}
+
+/**
+ * Stop listening to error events once no traced request is in flight.
+ */
+export function restoreErrors() {
+    if (typeof globalThis.removeEventListener !== 'function') return;
+    installs -= 1;
+    if (installs > 0) return;
+    installs = 0;
+    globalThis.removeEventListener('unhandledrejection', recordGlobalError);
+    globalThis.removeEventListener('error', recordGlobalError);
+}
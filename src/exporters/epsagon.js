@@ -0,0 +1,409 @@
+import send from '../transport';
+
+const uuid = require('uuid');
+
+const SPAN_FIELDS = [
+    'timestamp',
+    'name',
+    'kind',
+    'trace_id',
+    'span_id',
+    'parent_span_id',
+    'duration_ms',
+    'exception',
+    'error_name',
+    'message',
+    'stack',
+    'logs',
+    'attributes',
+    'status',
+    'handled',
+    'error_source',
+    'response_error',
+    'timing',
+];
+
+/**
+ * Return the Epsagon trace header value identifying a span.
+ * @param {object} event data of the span.
+ * @returns {string} trace ID, span ID and parent span ID of the span.
+ */
+const httpTraceId = event => `${event.trace_id}:${event.span_id}:${event.parent_span_id}:1`;
+
+/**
+ * Host of a traced request, from its host header or, for requests without one
+ * such as Durable Object requests, from its URL.
+ * @param {object} request data of the traced request.
+ * @returns {string} the request host.
+ */
+const requestHost = request => request.headers.host || new URL(request.url).host;
+
+const ERROR_CODE = {
+    OK: 0,
+    ERROR: 1,
+    EXCEPTION: 2,
+};
+
+/**
+ * Return the Epsagon error code of a span, an exception taking precedence over
+ * an error status, such as the one set by an error response.
+ * @param {object} event data of the span.
+ * @returns {number} Epsagon error code.
+ */
+function errorCode(event) {
+    if (event.exception) return ERROR_CODE.EXCEPTION;
+    if (event.status && event.status.code === 'error') return ERROR_CODE.ERROR;
+    return ERROR_CODE.OK;
+}
+
+/**
+ * Prefix the Cloudflare request properties recorded on a span for metadata.
+ * @param {object} cf the recorded `request.cf` fields.
+ * @returns {object} metadata entries.
+ */
+function cfMetadata(cf) {
+    const metadata = {};
+    Object.keys(cf || {}).forEach((field) => {
+        metadata[`cloudflare.cf.${field}`] = cf[field];
+    });
+    return metadata;
+}
+
+/**
+ * Prefix the response timing recorded on a span for metadata.
+ * @param {object} timing time to headers and last byte, bytes and outcome of the body.
+ * @param {string} prefix prefix of the metadata keys.
+ * @returns {object} metadata entries.
+ */
+function timingMetadata(timing, prefix) {
+    if (!timing) return {};
+    return {
+        [`${prefix}.time_to_headers_ms`]: timing.time_to_headers_ms,
+        [`${prefix}.time_to_last_byte_ms`]: timing.time_to_last_byte_ms,
+        [`${prefix}.response.bytes`]: timing.bytes,
+        [`${prefix}.response.body_outcome`]: timing.outcome,
+    };
+}
+
+/**
+ * Format the exception recorded on a span, or the synthetic one of an error or
+ * warning response.
+ * @param {object} event data of the span.
+ * @returns {object} Epsagon exception, empty when the span succeeded.
+ */
+function formatException(event) {
+    const responseError = event.response_error;
+    if (!event.exception && responseError) {
+        return {
+            type: responseError.type,
+            message: responseError.message,
+            additional_data: {
+                warning: responseError.level === 'warning',
+                handled: true,
+                source: 'status',
+            },
+        };
+    }
+    if (!event.exception) return {};
+    return {
+        type: event.error_name,
+        message: event.message,
+        traceback: event.stack,
+        additional_data: {
+            warning: false,
+            handled: Boolean(event.handled),
+            source: event.error_source,
+        },
+    };
+}
+
+/**
+ * Build the Epsagon event of a child span, linked to its parent span.
+ * @param {object} event data of the span.
+ * @param {string} origin origin of the Epsagon event.
+ * @param {object} resource resource of the Epsagon event.
+ * @returns {object} Epsagon event.
+ */
+function formatChildEvent(event, origin, resource) {
+    return {
+        id: uuid.v4(),
+        origin,
+        start_time: (event.timestamp * 0.001),
+        duration: ((event.duration_ms || 0) * 0.001),
+        resource: Object.assign({}, resource, {
+            metadata: Object.assign({
+                'cloudflare.span_id': event.span_id,
+                'cloudflare.parent_span_id': event.parent_span_id,
+                'cloudflare.logs': event.logs,
+                'cloudflare.status': event.status,
+            }, event.attributes, resource.metadata),
+        }),
+        error_code: errorCode(event),
+        exception: formatException(event),
+    };
+}
+
+/**
+ * Format a span without a dedicated resource type as an Epsagon event.
+ * @param {object} event data of the span.
+ * @returns {object} Epsagon event.
+ */
+function formatSpanEvent(event) {
+    const metadata = {};
+    Object.keys(event)
+        .filter(key => !SPAN_FIELDS.includes(key))
+        .forEach((key) => {
+            metadata[key] = event[key];
+        });
+    return formatChildEvent(event, 'span', {
+        name: event.name,
+        type: 'cloudflare_span',
+        operation: event.kind || 'custom',
+        metadata,
+    });
+}
+
+/**
+ * Format a fetch child span as an Epsagon event, failed requests included.
+ * @param {object} event data of the fetch span.
+ * @returns {object} Epsagon event.
+ */
+function formatHTTPEvent(event) {
+    const { request, response } = event;
+    if (!request) return formatSpanEvent(event);
+    const url = new URL(request.url);
+    return formatChildEvent(event, 'http', {
+        name: url.host,
+        type: 'http',
+        operation: request.method,
+        metadata: Object.assign({
+            http_trace_id: httpTraceId(event),
+            'http.url': request.url,
+            'http.request.path': url.pathname,
+            'http.request.headers': request.headers,
+            'http.response.headers': response ? response.headers : undefined,
+            'http.response.body': response ? response.body : undefined,
+            'http.response.status_code': response ? response.status : undefined,
+        }, timingMetadata(event.timing, 'http')),
+    });
+}
+
+/**
+ * Format a KV child span as an Epsagon event.
+ * @param {object} event data of the KV span.
+ * @returns {object} Epsagon event.
+ */
+function formatKVEvent(event) {
+    const { kv } = event;
+    return formatChildEvent(event, 'cloudflare_kv', {
+        name: kv.namespace,
+        type: 'cloudflare_kv',
+        operation: kv.operation,
+        metadata: {
+            'cloudflare.kv.namespace': kv.namespace,
+            'cloudflare.kv.key': kv.key,
+            'cloudflare.kv.prefix': kv.prefix,
+            'cloudflare.kv.type': kv.type,
+            'cloudflare.kv.cache_ttl': kv.cache_ttl,
+            'cloudflare.kv.expiration_ttl': kv.expiration_ttl,
+            'cloudflare.kv.hit': kv.hit,
+            'cloudflare.kv.keys': kv.keys,
+            'cloudflare.kv.list_complete': kv.list_complete,
+        },
+    });
+}
+
+/**
+ * Format a Durable Object stub request as an Epsagon event.
+ * @param {object} event data of the Durable Object span.
+ * @returns {object} Epsagon event.
+ */
+function formatDurableObjectEvent(event) {
+    const object = event.durable_object;
+    return formatChildEvent(event, 'cloudflare_durable_object', {
+        name: object.namespace,
+        type: 'cloudflare_durable_object',
+        operation: object.method,
+        metadata: {
+            http_trace_id: httpTraceId(event),
+            'cloudflare.durable_object.id': object.id,
+            'cloudflare.durable_object.name': object.name,
+            'http.request.path': event.request ? new URL(event.request.url).pathname : undefined,
+            'http.response.status_code': event.response ? event.response.status : undefined,
+        },
+    });
+}
+
+/**
+ * Format a queue producer or consumer message span as an Epsagon event.
+ * @param {object} event data of the queue span.
+ * @returns {object} Epsagon event.
+ */
+function formatQueueEvent(event) {
+    const queue = event.queue || {};
+    const message = event.queue_message || {};
+    return formatChildEvent(event, 'cloudflare_queue', {
+        name: queue.name || message.queue,
+        type: 'cloudflare_queue',
+        operation: queue.operation || 'process',
+        metadata: event.queue ? {
+            http_trace_id: httpTraceId(event),
+            'cloudflare.queue.messages': queue.messages,
+        } : {
+            'cloudflare.queue.message_id': message.id,
+            'cloudflare.queue.attempts': message.attempts,
+            'cloudflare.queue.outcome': message.outcome,
+            'cloudflare.queue.producer_trace_id': message.producer_trace_id,
+        },
+    });
+}
+
+const CHILD_FORMATTERS = {
+    fetch: formatHTTPEvent,
+    kv: formatKVEvent,
+    durable_object: formatDurableObjectEvent,
+    queue: formatQueueEvent,
+    queue_message: formatQueueEvent,
+};
+
+/**
+ * Exports traces to the Epsagon collector, in the Epsagon trace format.
+ */
+export default class EpsagonExporter {
+    /**
+     * @param {object} config tracer configuration object.
+     */
+    constructor(config) {
+        this.config = config;
+    }
+
+    /**
+     * Convert the events of a trace into the Epsagon trace format.
+     * @param {array} events data for all spans, the root span first.
+     * @param {object} tracer the tracer of the trace.
+     * @returns {object} Epsagon trace.
+     */
+    format(events, tracer) {
+        const traces = {
+            app_name: this.config.app_name,
+            token: this.config.token,
+            version: '1.0.0',
+            platform: 'Javascript',
+            exceptions: [],
+        };
+
+        const responseError = events[0].response_error || {};
+        const triggerTrace = {
+            origin: 'trigger',
+            id: uuid.v4(),
+            start_time: (events[0].timestamp * 0.001),
+            duration: (events[0].duration_ms * 0.001),
+            resource: tracer.trigger ? Object.assign({}, tracer.trigger, {
+                metadata: Object.assign({}, tracer.trigger.metadata),
+            }) : {
+                name: requestHost(events[0].request),
+                type: 'http',
+                operation: events[0].request.method,
+                metadata: {
+                    'http.request.headers': events[0].request.headers,
+                    'http.request.path': new URL(events[0].request.url).pathname,
+                    'http.response.status_code': events[0].response ?
+                        events[0].response.status : undefined,
+                },
+            },
+            error_code: responseError.level === 'error' ? ERROR_CODE.ERROR : ERROR_CODE.OK,
+            exception: {},
+        };
+        Object.assign(triggerTrace.resource.metadata, cfMetadata(events[0].cf));
+        if (tracer.upstreamContext && tracer.upstreamContext.epsagonTraceId) {
+            triggerTrace.resource.metadata.http_trace_id = tracer.upstreamContext.epsagonTraceId;
+        }
+
+        let runnerName = tracer.runner.name || this.config.workerName || this.config.serviceName;
+        if (!tracer.runner.name && !this.config.workerName && events[0].request) {
+            runnerName = `${requestHost(events[0].request).replace('https://', '').split('.')[0]}-worker`;
+        }
+        const runnerTrace = {
+            origin: 'runner',
+            id: uuid.v4(),
+            start_time: (events[0].timestamp * 0.001),
+            duration: (events[0].duration_ms * 0.001),
+            resource: {
+                name: runnerName,
+                type: tracer.runner.type || 'cloudflare_worker',
+                operation: 'execute',
+                metadata: Object.assign({
+                    'cloudflare.return_value': events[0].response ? events[0].response.body : null,
+                    'cloudflare.requestContext': events[0].request,
+                    'cloudflare.debug_events': this.config.debug ? JSON.stringify(events) : null,
+                    'cloudflare.logs': events[0].logs || [],
+                    'cloudflare.trace_id': events[0].trace_id,
+                    'cloudflare.span_id': events[0].span_id,
+                    'cloudflare.sample_rate': tracer.sampleRate,
+                    'cloudflare.status': events[0].status,
+                }, timingMetadata(events[0].timing, 'cloudflare'), events[0].attributes, tracer.runner.metadata),
+            },
+        };
+
+        runnerTrace.exception = formatException(events[0]);
+        runnerTrace.error_code = errorCode(events[0]);
+
+        if (Object.keys(tracer.labels).length) {
+            runnerTrace.resource.metadata.labels = JSON.stringify(tracer.labels);
+        }
+
+        traces.events = [triggerTrace, runnerTrace];
+
+        events.slice(1).forEach((event) => {
+            const formatter = CHILD_FORMATTERS[event.kind] || formatSpanEvent;
+            traces.events.push(formatter(event));
+        });
+        return traces;
+    }
+
+    /**
+     * Check a trace for problems that would make the collector reject or misfile it.
+     * @param {object} traces Epsagon trace.
+     * @returns {array} descriptions of the problems found.
+     */
+    validate(traces) {
+        const problems = [];
+        if (!traces.token) problems.push('token is not set');
+        if (!/^https?:\/\//.test(this.config.collectorUrl)) {
+            problems.push(`collectorUrl is not an http(s) URL: ${this.config.collectorUrl}`);
+        }
+        traces.events.forEach((event, index) => {
+            ['name', 'type', 'operation'].forEach((field) => {
+                if (!event.resource[field]) problems.push(`event ${index} has no resource ${field}`);
+            });
+            if (!Number.isFinite(event.start_time) || !Number.isFinite(event.duration)) {
+                problems.push(`event ${index} has an invalid start time or duration`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Build the collector request for a trace.
+     * @param {object} traces Epsagon trace.
+     * @returns {object} the collector request.
+     */
+    buildRequest(traces) {
+        return new Request(this.config.collectorUrl, {
+            method: 'POST',
+            body: JSON.stringify(traces),
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.config.token}`,
+            },
+        });
+    }
+
+    /**
+     * Send a trace to the collector.
+     * @param {object} traces Epsagon trace.
+     */
+    async export(traces) {
+        await send(this.buildRequest(traces), this.config);
+    }
+}
@@ -0,0 +1,27 @@
+import EpsagonExporter from './epsagon';
+import OTLPExporter from './otlp';
+import MemoryExporter from './memory';
+
+const EXPORTERS = {
+    epsagon: EpsagonExporter,
+    otlp: OTLPExporter,
+};
+
+/**
+ * Create the exporters selected by the configuration. An exporter is either the
+ * name of a built-in one, or an object with `format(events, tracer)` and
+ * `export(payload)` methods.
+ * @param {object} config tracer configuration object.
+ * @returns {array} exporters to send traces with.
+ */
+export function createExporters(config) {
+    const selected = Array.isArray(config.exporter) ? config.exporter : [config.exporter];
+    return selected.map((exporter) => {
+        if (exporter && typeof exporter === 'object') return exporter;
+        const Exporter = EXPORTERS[exporter];
+        if (!Exporter) throw Error(`Unknown exporter: ${exporter}`);
+        return new Exporter(config);
+    });
+}
+
+export { EpsagonExporter, OTLPExporter, MemoryExporter };
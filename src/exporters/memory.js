@@ -0,0 +1,64 @@
+import EpsagonExporter from './epsagon';
+import OTLPExporter from './otlp';
+
+const FORMATTERS = {
+    epsagon: EpsagonExporter,
+    otlp: OTLPExporter,
+};
+
+/**
+ * Keeps traces in memory instead of sending them, to inspect the payloads a
+ * collector would receive, such as in tests.
+ */
+export default class MemoryExporter {
+    /**
+     * @param {object} options optional `format` of the payloads, epsagon or otlp.
+     */
+    constructor(options = {}) {
+        this.formatName = options.format || 'epsagon';
+        if (!FORMATTERS[this.formatName]) throw Error(`Unknown format: ${this.formatName}`);
+        this.payloads = [];
+    }
+
+    /**
+     * Convert the events of a trace into a payload of the configured format.
+     * @param {array} events data for all spans, the root span first.
+     * @param {object} tracer the tracer of the trace.
+     * @returns {object} the payload.
+     */
+    format(events, tracer) {
+        const Formatter = FORMATTERS[this.formatName];
+        return new Formatter(tracer.config).format(events, tracer);
+    }
+
+    /**
+     * Keep a payload, as the body of the collector request would have it.
+     * @param {object} payload the formatted trace.
+     */
+    async export(payload) {
+        this.payloads.push(JSON.parse(JSON.stringify(payload)));
+    }
+
+    /**
+     * Keep several payloads, so traces can be buffered.
+     * @param {array} payloads the formatted traces.
+     */
+    async exportBatch(payloads) {
+        await Promise.all(payloads.map(payload => this.export(payload)));
+    }
+
+    /**
+     * Return the last kept payload.
+     * @returns {object} the payload, or undefined when none was kept.
+     */
+    last() {
+        return this.payloads[this.payloads.length - 1];
+    }
+
+    /**
+     * Forget the kept payloads.
+     */
+    reset() {
+        this.payloads = [];
+    }
+}
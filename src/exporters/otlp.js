@@ -0,0 +1,280 @@
+import send from '../transport';
+
+const SPAN_KIND = {
+    INTERNAL: 1,
+    SERVER: 2,
+    CLIENT: 3,
+    PRODUCER: 4,
+    CONSUMER: 5,
+};
+
+const STATUS_CODE = {
+    unset: 0,
+    ok: 1,
+    error: 2,
+};
+
+const CHILD_SPAN_KINDS = {
+    fetch: SPAN_KIND.CLIENT,
+    kv: SPAN_KIND.CLIENT,
+    durable_object: SPAN_KIND.CLIENT,
+    queue: SPAN_KIND.PRODUCER,
+    queue_message: SPAN_KIND.CONSUMER,
+};
+
+/**
+ * Convert a millisecond timestamp to OTLP nanoseconds, as a string to keep precision.
+ * @param {number} milliseconds timestamp in milliseconds.
+ * @returns {string} timestamp in nanoseconds.
+ */
+const toNanos = milliseconds => `${Math.round(milliseconds)}000000`;
+
+/**
+ * Convert a value to an OTLP AnyValue.
+ * @param {*} value the attribute value.
+ * @returns {object} OTLP AnyValue.
+ */
+function toAnyValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+    }
+    if (typeof value === 'string') return { stringValue: value };
+    return { stringValue: JSON.stringify(value) };
+}
+
+/**
+ * Convert an attributes object to OTLP key values, skipping empty values.
+ * @param {object} attributes attribute names and values.
+ * @returns {array} OTLP KeyValue list.
+ */
+function toKeyValues(attributes) {
+    return Object.keys(attributes)
+        .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+        .map(key => ({ key, value: toAnyValue(attributes[key]) }));
+}
+
+/**
+ * Collect the attributes of a span from its event data.
+ * @param {object} event data of the span.
+ * @returns {object} attribute names and values.
+ */
+function spanAttributes(event) {
+    const attributes = {};
+    if (event.request) {
+        attributes['http.method'] = event.request.method;
+        attributes['http.url'] = event.request.url;
+    }
+    if (event.response) {
+        attributes['http.status_code'] = event.response.status;
+    }
+    if (event.timing) {
+        attributes['http.response.body.size'] = event.timing.bytes;
+        attributes['cloudflare.time_to_headers_ms'] = event.timing.time_to_headers_ms;
+        attributes['cloudflare.time_to_last_byte_ms'] = event.timing.time_to_last_byte_ms;
+        attributes['cloudflare.response.body_outcome'] = event.timing.outcome;
+    }
+    if (event.kv) {
+        attributes['db.system'] = 'cloudflare_kv';
+        Object.keys(event.kv).forEach((key) => {
+            attributes[`cloudflare.kv.${key}`] = event.kv[key];
+        });
+    }
+    if (event.durable_object) {
+        Object.keys(event.durable_object).forEach((key) => {
+            attributes[`cloudflare.durable_object.${key}`] = event.durable_object[key];
+        });
+    }
+    if (event.queue || event.queue_message) {
+        attributes['messaging.system'] = 'cloudflare_queues';
+        const queue = event.queue || event.queue_message;
+        Object.keys(queue).forEach((key) => {
+            attributes[`cloudflare.queue.${key}`] = queue[key];
+        });
+    }
+    return attributes;
+}
+
+/**
+ * Convert a span event into an OTLP span.
+ * @param {object} event data of the span.
+ * @param {number} kind OTLP span kind.
+ * @param {string} name span name.
+ * @param {object} extraAttributes attributes added to the ones of the event.
+ * @returns {object} OTLP span.
+ */
+function formatSpan(event, kind, name, extraAttributes) {
+    const span = {
+        traceId: event.trace_id,
+        spanId: event.span_id,
+        name,
+        kind,
+        startTimeUnixNano: toNanos(event.timestamp),
+        endTimeUnixNano: toNanos(event.timestamp + (event.duration_ms || 0)),
+        attributes: toKeyValues(Object.assign(
+            spanAttributes(event),
+            extraAttributes,
+            event.attributes
+        )),
+        status: { code: STATUS_CODE.unset },
+    };
+    if (event.status) {
+        span.status = { code: STATUS_CODE[event.status.code], message: event.status.message };
+    }
+    if (event.parent_span_id) span.parentSpanId = event.parent_span_id;
+    span.events = (event.logs || []).map(entry => ({
+        timeUnixNano: toNanos(Date.parse(entry.timestamp)),
+        name: 'log',
+        attributes: toKeyValues(Object.assign({
+            'log.severity': entry.level,
+            'log.message': entry.message,
+        }, entry.attributes)),
+    }));
+    if (event.exception) {
+        span.status = { code: STATUS_CODE.error, message: event.message };
+        span.events.push({
+            timeUnixNano: span.endTimeUnixNano,
+            name: 'exception',
+            attributes: toKeyValues({
+                'exception.type': event.error_name,
+                'exception.message': event.message,
+                'exception.stacktrace': event.stack,
+                'exception.escaped': !event.handled,
+            }),
+        });
+    }
+    return span;
+}
+
+/**
+ * Exports traces to an OpenTelemetry collector with OTLP/HTTP JSON.
+ */
+export default class OTLPExporter {
+    /**
+     * @param {object} config tracer configuration object.
+     */
+    constructor(config) {
+        this.config = config;
+        this.options = Object.assign({
+            url: 'http://localhost:4318/v1/traces',
+            headers: {},
+        }, config.otlp);
+    }
+
+    /**
+     * Convert the events of a trace into an OTLP export request.
+     * @param {array} events data for all spans, the root span first.
+     * @param {object} tracer the tracer of the trace.
+     * @returns {object} OTLP ExportTraceServiceRequest.
+     */
+    format(events, tracer) {
+        const [root, ...children] = events;
+        let rootName = tracer.trigger ? `${tracer.trigger.operation} ${tracer.trigger.name}` : 'request';
+        if (!tracer.trigger && root.request) {
+            rootName = `${root.request.method} ${new URL(root.request.url).pathname}`;
+        }
+        let rootKind = SPAN_KIND.SERVER;
+        if (tracer.trigger) {
+            rootKind = tracer.trigger.type === 'cloudflare_queue' ? SPAN_KIND.CONSUMER : SPAN_KIND.INTERNAL;
+        }
+        const rootAttributes = Object.assign({
+            'cloudflare.trigger': tracer.trigger ? tracer.trigger.type : 'http',
+            'cloudflare.sample_rate': tracer.sampleRate,
+        }, tracer.trigger ? tracer.trigger.metadata : {}, tracer.runner.metadata);
+        Object.keys(root.cf || {}).forEach((field) => {
+            rootAttributes[`cloudflare.cf.${field}`] = root.cf[field];
+        });
+        Object.keys(tracer.labels).forEach((key) => {
+            rootAttributes[`label.${key}`] = tracer.labels[key];
+        });
+
+        const spans = [
+            formatSpan(root, rootKind, rootName, rootAttributes),
+            ...children.map(event => formatSpan(
+                event,
+                CHILD_SPAN_KINDS[event.kind] || SPAN_KIND.INTERNAL,
+                event.name,
+                {}
+            )),
+        ];
+
+        return {
+            resourceSpans: [{
+                resource: {
+                    attributes: toKeyValues({
+                        'service.name': this.config.workerName || this.config.serviceName,
+                        'service.namespace': this.config.app_name,
+                        'service.version': this.config.version,
+                        'deployment.environment': this.config.environment,
+                        'cloud.provider': 'cloudflare',
+                        'cloud.platform': tracer.runner.type || 'cloudflare_worker',
+                    }),
+                },
+                scopeSpans: [{
+                    scope: { name: '@epsagon/cloudflare' },
+                    spans,
+                }],
+            }],
+        };
+    }
+
+    /**
+     * Check an export request for problems that would make the collector reject it.
+     * @param {object} payload OTLP export request.
+     * @returns {array} descriptions of the problems found.
+     */
+    validate(payload) {
+        const problems = [];
+        if (!/^https?:\/\//.test(this.options.url)) {
+            problems.push(`otlp url is not an http(s) URL: ${this.options.url}`);
+        }
+        payload.resourceSpans[0].scopeSpans[0].spans.forEach((span) => {
+            if (!/^[0-9a-f]{32}$/.test(span.traceId)) {
+                problems.push(`span ${span.name} has an invalid trace ID`);
+            }
+            if (!/^[0-9a-f]{16}$/.test(span.spanId)) {
+                problems.push(`span ${span.name} has an invalid span ID`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Build the collector request for a trace.
+     * @param {object} payload OTLP export request.
+     * @returns {object} the collector request.
+     */
+    buildRequest(payload) {
+        return new Request(this.options.url, {
+            method: 'POST',
+            body: JSON.stringify(payload),
+            headers: Object.assign({ 'Content-Type': 'application/json' }, this.options.headers),
+        });
+    }
+
+    /**
+     * Send a trace to the collector.
+     * @param {object} payload OTLP export request.
+     */
+    async export(payload) {
+        await send(this.buildRequest(payload), this.config);
+    }
+
+    /**
+     * Identify the collector traces are sent to, so buffered traces are batched per collector.
+     * @returns {string} collector URL and headers.
+     */
+    batchKey() {
+        return `otlp ${this.options.url} ${JSON.stringify(this.options.headers)}`;
+    }
+
+    /**
+     * Send several traces to the collector in a single export request.
+     * @param {array} payloads OTLP export requests.
+     */
+    async exportBatch(payloads) {
+        await this.export({
+            resourceSpans: payloads.map(payload => payload.resourceSpans).flat(1),
+        });
+    }
+}
@@ -0,0 +1,42 @@
+import { getActiveSpan } from './scope';
+
+let originalFetch;
+let tracedFetch;
+let installs = 0;
+
+/**
+ * Return the fetch implementation that is not traced.
+ * @returns {function} the original fetch.
+ */
+export function getFetch() {
+    return originalFetch || globalThis.fetch;
+}
+
+/**
+ * Replace the global fetch with one attributing requests to the active span,
+ * falling back to the original fetch when it can't be determined.
+ */
+export function instrumentFetch() {
+    installs += 1;
+    if (installs > 1) return;
+    originalFetch = globalThis.fetch;
+    tracedFetch = (input, init) => {
+        const span = getActiveSpan();
+        return span ? span.fetch(input, init) : originalFetch(input, init);
+    };
+    globalThis.fetch = tracedFetch;
+}
+
+/**
+ * Restore the global fetch once no request is using the traced one.
+ */
+export function restoreFetch() {
+    installs -= 1;
+    if (installs > 0) return;
+    installs = 0;
+    if (globalThis.fetch === tracedFetch) {
+        globalThis.fetch = originalFetch;
+    }
+    originalFetch = undefined;
+    tracedFetch = undefined;
+}
@@ -1,2 +1,4 @@
 export * from './tracer';
 export * from './wrapper';
+export { EpsagonExporter, OTLPExporter, MemoryExporter } from './exporters';
+export { default as createTestEvent } from './testing';
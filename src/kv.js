@@ -0,0 +1,117 @@
+const KV_OPERATIONS = ['get', 'getWithMetadata', 'put', 'delete', 'list'];
+
+/**
+ * Return the options object of a KV call, get accepts the value type as a string.
+ * @param {string|object} options options passed to the KV operation.
+ * @returns {object} the options object.
+ */
+const normalizeOptions = options => (typeof options === 'string' ? { type: options } : options || {});
+
+/**
+ * Describe a KV call for the span data.
+ * @param {string} namespace name of the KV binding.
+ * @param {string} operation name of the KV operation.
+ * @param {array} args arguments of the call.
+ * @returns {object} KV call data.
+ */
+function describeCall(namespace, operation, args) {
+    const [key] = args;
+    if (operation === 'list') {
+        const options = normalizeOptions(args[0]);
+        return {
+            namespace,
+            operation,
+            prefix: options.prefix,
+            limit: options.limit,
+        };
+    }
+    const options = normalizeOptions(operation === 'put' ? args[2] : args[1]);
+    return {
+        namespace,
+        operation,
+        key: Array.isArray(key) ? key.join(',') : key,
+        type: options.type,
+        cache_ttl: options.cacheTtl,
+        expiration_ttl: options.expirationTtl,
+    };
+}
+
+/**
+ * Describe the result of a KV call for the span data.
+ * @param {string} operation name of the KV operation.
+ * @param {*} result the resolved value of the call.
+ * @returns {object} KV result data.
+ */
+function describeResult(operation, result) {
+    switch (operation) {
+    case 'get':
+        if (result instanceof Map) {
+            return { hit: Array.from(result.values()).some(value => value !== null) };
+        }
+        return { hit: result !== null };
+    case 'getWithMetadata':
+        return { hit: Boolean(result) && result.value !== null };
+    case 'list':
+        return {
+            keys: result.keys.length,
+            list_complete: result.list_complete,
+        };
+    default:
+        return {};
+    }
+}
+
+/**
+ * Run a KV operation in a child span.
+ * @param {object} span the span the operation belongs to.
+ * @param {object} target the KV namespace.
+ * @param {string} namespace name of the KV binding.
+ * @param {string} operation name of the KV operation.
+ * @param {array} args arguments of the call.
+ * @returns {Promise} the result of the operation.
+ */
+function traceOperation(span, target, namespace, operation, args) {
+    const childSpan = span.startChildSpan(`${namespace}.${operation}`, 'kv');
+    const kv = describeCall(namespace, operation, args);
+    childSpan.addData({ kv });
+    let promise;
+    try {
+        promise = Promise.resolve(Reflect.apply(target[operation], target, args));
+    } catch (err) {
+        promise = Promise.reject(err);
+    }
+    promise
+        .then((result) => {
+            Object.assign(kv, describeResult(operation, result));
+            childSpan.finish();
+        })
+        .catch((error) => {
+            childSpan.recordException(error);
+            childSpan.finish();
+        });
+    return promise;
+}
+
+/**
+ * Wrap a KV namespace binding so each operation is recorded as a child span.
+ * @param {object} span the span operations are attached to.
+ * @param {object} namespace the KV namespace binding.
+ * @param {string} name name of the binding, reported as the resource name.
+ * @returns {Proxy} the traced KV namespace.
+ */
+export default function wrapKV(span, namespace, name) {
+    return new Proxy(namespace, {
+        /**
+         * Trap KV namespace methods
+         * @param {object} target KV namespace.
+         * @param {string} prop the accessed property.
+         * @returns {*} the traced operation or the original member.
+         */
+        get(target, prop) {
+            const value = Reflect.get(target, prop);
+            if (typeof value !== 'function') return value;
+            if (!KV_OPERATIONS.includes(prop)) return value.bind(target);
+            return (...args) => traceOperation(span, target, name, prop, args);
+        },
+    });
+}
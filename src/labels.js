@@ -0,0 +1,20 @@
+const LABEL_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Add a label to the labels of a trace, unless it is invalid or the serialized
+ * labels would exceed the size limit.
+ * @param {object} labels the labels of the trace, modified in place.
+ * @param {string} key name of the label.
+ * @param {string|number|boolean} value value of the label.
+ * @param {number} maxSize maximum size of the serialized labels, in characters.
+ * @returns {string} the reason the label was dropped, or undefined when it was added.
+ */
+export default function addLabel(labels, key, value, maxSize) {
+    if (typeof key !== 'string' || !key) return 'key must be a non empty string';
+    if (!LABEL_TYPES.includes(typeof value)) return 'value must be a string, number or boolean';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'value must be a finite number';
+    const candidate = Object.assign({}, labels, { [key]: value });
+    if (JSON.stringify(candidate).length > maxSize) return `labels exceed ${maxSize} characters`;
+    Object.assign(labels, { [key]: value });
+    return undefined;
+}
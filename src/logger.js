@@ -0,0 +1,49 @@
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Records structured log entries on a span.
+ */
+export default class Logger {
+    /**
+     * @param {object} span the span entries are associated with.
+     */
+    constructor(span) {
+        this.span = span;
+    }
+
+    /**
+     * Record a debug entry.
+     * @param {string} message the log message.
+     * @param {object} attributes optional structured data of the entry.
+     */
+    debug(message, attributes) {
+        this.span.addLog('debug', message, attributes);
+    }
+
+    /**
+     * Record an info entry.
+     * @param {string} message the log message.
+     * @param {object} attributes optional structured data of the entry.
+     */
+    info(message, attributes) {
+        this.span.addLog('info', message, attributes);
+    }
+
+    /**
+     * Record a warning entry.
+     * @param {string} message the log message.
+     * @param {object} attributes optional structured data of the entry.
+     */
+    warn(message, attributes) {
+        this.span.addLog('warn', message, attributes);
+    }
+
+    /**
+     * Record an error entry.
+     * @param {string} message the log message.
+     * @param {object} attributes optional structured data of the entry.
+     */
+    error(message, attributes) {
+        this.span.addLog('error', message, attributes);
+    }
+}
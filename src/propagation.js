@@ -0,0 +1,80 @@
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const EPSAGON_TRACE_PATTERN = /^([0-9a-f]{32}):([0-9a-f]{16}):([0-9a-f]{16})?:([0-9a-f]+)$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+export const TRACEPARENT_HEADER = 'traceparent';
+export const TRACESTATE_HEADER = 'tracestate';
+export const EPSAGON_TRACE_HEADER = 'epsagon-trace-id';
+
+/**
+ * Parse a W3C traceparent header value.
+ * @param {string} value the traceparent header.
+ * @returns {object} trace context, or null when the value is invalid.
+ */
+export function parseTraceparent(value) {
+    const match = TRACEPARENT_PATTERN.exec((value || '').trim().toLowerCase());
+    if (!match) return null;
+    const [, version, traceId, parentSpanId, flags] = match;
+    if (version === 'ff' || traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) {
+        return null;
+    }
+    return {
+        traceId,
+        parentSpanId,
+        sampled: parseInt(flags, 16) % 2 === 1,
+    };
+}
+
+/**
+ * Parse an Epsagon trace header value, formatted as `traceId:spanId:parentSpanId:flags`.
+ * @param {string} value the epsagon-trace-id header.
+ * @returns {object} trace context, or null when the value is invalid.
+ */
+export function parseEpsagonTraceId(value) {
+    const match = EPSAGON_TRACE_PATTERN.exec((value || '').trim().toLowerCase());
+    if (!match) return null;
+    const [, traceId, spanId, , flags] = match;
+    if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+    return {
+        traceId,
+        parentSpanId: spanId,
+        sampled: flags !== '0',
+        epsagonTraceId: value.trim(),
+    };
+}
+
+/**
+ * Extract the upstream trace context from incoming headers, preferring traceparent.
+ * @param {object} headers the incoming request headers.
+ * @returns {object} trace context, or undefined when none was sent.
+ */
+export function extractTraceContext(headers) {
+    if (!headers) return undefined;
+    const epsagonContext = parseEpsagonTraceId(headers.get(EPSAGON_TRACE_HEADER));
+    const context = parseTraceparent(headers.get(TRACEPARENT_HEADER)) || epsagonContext;
+    if (!context) return undefined;
+    if (epsagonContext && epsagonContext.traceId === context.traceId) {
+        context.epsagonTraceId = epsagonContext.epsagonTraceId;
+    }
+    const traceState = headers.get(TRACESTATE_HEADER);
+    if (traceState) context.traceState = traceState;
+    return context;
+}
+
+/**
+ * Set the trace context headers of an outgoing request.
+ * @param {object} headers the outgoing request headers, modified in place.
+ * @param {object} context trace context of the span making the request.
+ */
+export function injectTraceContext(headers, context) {
+    const flags = context.sampled === false ? '00' : '01';
+    headers.set(TRACEPARENT_HEADER, `00-${context.traceId}-${context.spanId}-${flags}`);
+    headers.set(
+        EPSAGON_TRACE_HEADER,
+        `${context.traceId}:${context.spanId}:${context.parentSpanId || ''}:${flags === '01' ? 1 : 0}`
+    );
+    if (context.traceState) {
+        headers.set(TRACESTATE_HEADER, context.traceState);
+    }
+}
@@ -0,0 +1,208 @@
+import { extractTraceContext, injectTraceContext } from './propagation';
+
+const ENVELOPE_KEY = '__epsagon_trace_context';
+const RAW_CONTENT_TYPES = ['text', 'bytes'];
+
+/**
+ * Wrap a message body with the trace context of the producing span.
+ * @param {*} body the message body.
+ * @param {object} context trace context of the producing span.
+ * @returns {object} the message envelope.
+ */
+function wrapBody(body, context) {
+    const headers = new Headers();
+    injectTraceContext(headers, context);
+    return {
+        [ENVELOPE_KEY]: Object.fromEntries(headers.entries()),
+        body,
+    };
+}
+
+/**
+ * Unwrap a message body sent by a traced producer.
+ * @param {*} body the received message body.
+ * @returns {object} the original body, and the producer trace headers if present.
+ */
+export function unwrapBody(body) {
+    if (body && typeof body === 'object' && ENVELOPE_KEY in body) {
+        return { body: body.body, headers: body[ENVELOPE_KEY] };
+    }
+    return { body };
+}
+
+/**
+ * Extract the producer trace context of a message.
+ * @param {*} body the received message body.
+ * @returns {object} trace context, or undefined when the message carries none.
+ */
+export function extractMessageContext(body) {
+    const { headers } = unwrapBody(body);
+    return headers ? extractTraceContext(new Headers(headers)) : undefined;
+}
+
+/**
+ * Send messages to a queue in a child span.
+ * @param {object} span the span the operation belongs to.
+ * @param {object} target the queue binding.
+ * @param {string} name name of the queue binding.
+ * @param {string} operation send or sendBatch.
+ * @param {array} args arguments of the call.
+ * @returns {Promise} the result of the operation.
+ */
+function traceSend(span, target, name, operation, args) {
+    const childSpan = span.startChildSpan(`${name}.${operation}`, 'queue');
+    const messages = operation === 'send' ?
+        [{ body: args[0], contentType: (args[1] || {}).contentType }] : args[0];
+    childSpan.addData({ queue: { name, operation, messages: messages.length } });
+
+    const callArgs = [...args];
+    if (span.config.embedQueueTraceContext) {
+        /**
+         * Embed the trace context in a message unless its body is sent raw
+         * @param {object} message the message to send.
+         * @returns {object} the message with the wrapped body.
+         */
+        const embed = message => (RAW_CONTENT_TYPES.includes(message.contentType) ? message :
+            Object.assign({}, message, { body: wrapBody(message.body, childSpan.traceContext) }));
+        if (operation === 'send') {
+            callArgs[0] = embed(messages[0]).body;
+        } else {
+            callArgs[0] = messages.map(embed);
+        }
+    }
+
+    let promise;
+    try {
+        promise = Promise.resolve(Reflect.apply(target[operation], target, callArgs));
+    } catch (err) {
+        promise = Promise.reject(err);
+    }
+    promise
+        .then(() => {
+            childSpan.finish();
+        })
+        .catch((error) => {
+            childSpan.recordException(error);
+            childSpan.finish();
+        });
+    return promise;
+}
+
+/**
+ * Wrap a queue producer binding so messages sent are recorded as child spans.
+ * @param {object} span the span operations are attached to.
+ * @param {object} queue the queue producer binding.
+ * @param {string} name name of the queue, reported as the resource name.
+ * @returns {Proxy} the traced queue binding.
+ */
+export function wrapQueue(span, queue, name) {
+    return new Proxy(queue, {
+        /**
+         * Trap queue producer methods
+         * @param {object} target queue binding.
+         * @param {string} prop the accessed property.
+         * @returns {*} the traced operation or the original member.
+         */
+        get(target, prop) {
+            const value = Reflect.get(target, prop);
+            if (typeof value !== 'function') return value;
+            if (prop !== 'send' && prop !== 'sendBatch') return value.bind(target);
+            return (...args) => traceSend(span, target, name, prop, args);
+        },
+    });
+}
+
+/**
+ * Wrap a batch received by a queue consumer, recording a child span per message
+ * that finishes when the message is acknowledged or retried.
+ * @param {object} span the span of the consumer invocation.
+ * @param {object} batch the message batch.
+ * @returns {object} the traced batch, and a function settling the remaining
+ * messages once the consumer is done.
+ */
+export function wrapBatch(span, batch) {
+    const pending = new Map();
+
+    /**
+     * Record the outcome of a message and finish its span.
+     * @param {object} message the original message.
+     * @param {string} outcome ack, retry, or the implicit outcome.
+     */
+    const settle = (message, outcome) => {
+        const messageSpan = pending.get(message);
+        if (!messageSpan) return;
+        pending.delete(message);
+        messageSpan.data.queue_message.outcome = outcome;
+        messageSpan.finish();
+    };
+
+    const messages = batch.messages.map((message) => {
+        const { body, headers } = unwrapBody(message.body);
+        const producer = headers ? extractTraceContext(new Headers(headers)) : undefined;
+        const messageSpan = span.startChildSpan(`${batch.queue}.message`, 'queue_message');
+        messageSpan.addData({
+            queue_message: {
+                queue: batch.queue,
+                id: message.id,
+                timestamp: message.timestamp,
+                attempts: message.attempts,
+                producer_trace_id: producer ? producer.epsagonTraceId : undefined,
+            },
+        });
+        pending.set(message, messageSpan);
+        return new Proxy(message, {
+            /**
+             * Trap message members
+             * @param {object} target the message.
+             * @param {string} prop the accessed property.
+             * @returns {*} the unwrapped body, traced ack and retry, or the original member.
+             */
+            get(target, prop) {
+                if (prop === 'body') return body;
+                const value = Reflect.get(target, prop);
+                if (typeof value !== 'function') return value;
+                if (prop === 'ack' || prop === 'retry') {
+                    return (...args) => {
+                        settle(target, prop);
+                        return Reflect.apply(value, target, args);
+                    };
+                }
+                return value.bind(target);
+            },
+        });
+    });
+
+    const tracedBatch = new Proxy(batch, {
+        /**
+         * Trap batch members
+         * @param {object} target the batch.
+         * @param {string} prop the accessed property.
+         * @returns {*} the traced messages, ackAll and retryAll, or the original member.
+         */
+        get(target, prop) {
+            if (prop === 'messages') return messages;
+            const value = Reflect.get(target, prop);
+            if (typeof value !== 'function') return value;
+            if (prop === 'ackAll' || prop === 'retryAll') {
+                return (...args) => {
+                    const outcome = prop === 'ackAll' ? 'ack' : 'retry';
+                    Array.from(pending.keys()).forEach(message => settle(message, outcome));
+                    return Reflect.apply(value, target, args);
+                };
+            }
+            return value.bind(target);
+        },
+    });
+
+    return {
+        batch: tracedBatch,
+        /**
+         * Settle messages the consumer neither acknowledged nor retried.
+         * @param {boolean} failed whether the consumer threw.
+         */
+        finish(failed) {
+            const outcome = failed ? 'implicit_retry' : 'implicit_ack';
+            Array.from(pending.keys()).forEach(message => settle(message, outcome));
+        },
+    };
+}
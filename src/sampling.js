@@ -0,0 +1,32 @@
+const TRACE_ID_BUCKETS = 0x100000000;
+
+/**
+ * Resolve the sample rate of a request, a rate of N keeps about one in N traces.
+ * @param {function|number} sampleRates the configured sampler, or a fixed rate.
+ * @param {object} request the incoming request.
+ * @returns {number} sample rate, 1 keeps every trace and 0 drops every trace.
+ */
+export function getSampleRate(sampleRates, request) {
+    let rate;
+    try {
+        rate = typeof sampleRates === 'function' ? sampleRates(request) : sampleRates;
+    } catch (error) {
+        console.log('error in Epsagon sampleRates > ', error);
+        return 1;
+    }
+    rate = Number(rate);
+    return Number.isFinite(rate) && rate >= 0 ? rate : 1;
+}
+
+/**
+ * Make the head sampling decision of a trace. The decision is derived from the
+ * trace ID, so every service sampling the same trace at the same rate agrees.
+ * @param {string} traceId hex trace ID.
+ * @param {number} rate sample rate of the trace.
+ * @returns {boolean} whether the trace is sampled.
+ */
+export function isSampled(traceId, rate) {
+    if (rate <= 0) return false;
+    if (rate <= 1) return true;
+    return parseInt(traceId.slice(-8), 16) < TRACE_ID_BUCKETS / rate;
+}
@@ -0,0 +1,60 @@
+const activeTracers = new Set();
+let storage;
+
+/**
+ * Use AsyncLocalStorage to track the span of the running request, when the
+ * runtime provides it.
+ * @param {function} StorageClass the AsyncLocalStorage class.
+ */
+export function initStorage(StorageClass) {
+    if (!storage && typeof StorageClass === 'function') {
+        storage = new StorageClass();
+    }
+}
+
+/**
+ * Stop using the AsyncLocalStorage set up by initStorage, restoring the initial
+ * state of the isolate, as between tests.
+ */
+export function resetStorage() {
+    if (storage && typeof storage.disable === 'function') storage.disable();
+    storage = undefined;
+}
+
+/**
+ * Mark a tracer as in flight in this isolate.
+ * @param {object} tracer the tracer of the request.
+ */
+export function enterScope(tracer) {
+    activeTracers.add(tracer);
+}
+
+/**
+ * Mark a tracer as done.
+ * @param {object} tracer the tracer of the request.
+ */
+export function exitScope(tracer) {
+    activeTracers.delete(tracer);
+}
+
+/**
+ * Run a function with a span as the active one.
+ * @param {object} span the span to activate.
+ * @param {function} fn the function to run.
+ * @returns {*} the result of fn.
+ */
+export function runWithSpan(span, fn) {
+    return storage ? storage.run(span, fn) : fn();
+}
+
+/**
+ * Find the span of the running request. Without AsyncLocalStorage this is only
+ * possible while a single request is in flight.
+ * @returns {object} the active span, or undefined when it can't be determined.
+ */
+export function getActiveSpan() {
+    const span = storage ? storage.getStore() : undefined;
+    if (span) return span;
+    if (activeTracers.size === 1) return activeTracers.values().next().value;
+    return undefined;
+}
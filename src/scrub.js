@@ -0,0 +1,182 @@
+const REDACTED = 'REDACTED';
+const MESSAGE_FIELDS = ['headers', 'body', 'url'];
+const LOG_FIELDS = ['message', 'attributes'];
+const TEXT_FIELDS = ['name', 'message', 'stack'];
+const IDENTIFIER_FIELDS = {
+    status: ['message'],
+    response_error: ['message'],
+    kv: ['key', 'prefix'],
+    durable_object: ['id', 'name'],
+    queue: ['name'],
+    queue_message: ['queue', 'id'],
+};
+const URL_PATTERN = /^https?:\/\//i;
+
+const BUILT_IN_PATTERNS = {
+    creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+    email: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+};
+
+/**
+ * Build a matcher for names given as strings, compared ignoring case, or RegExps.
+ * @param {array} names the names or patterns to match.
+ * @returns {function} returns true for a matching name.
+ */
+function nameMatcher(names) {
+    const exact = names.filter(name => typeof name === 'string').map(name => name.toLowerCase());
+    const patterns = names.filter(name => name instanceof RegExp);
+    return name => exact.includes(name.toLowerCase()) ||
+        patterns.some(pattern => pattern.test(name));
+}
+
+/**
+ * Resolve the scrubbing rules from the user configuration.
+ * @param {object} scrub user defined scrubbing options.
+ * @returns {object} the scrubbing rules.
+ */
+export function resolveScrub(scrub) {
+    const rules = Object.assign({
+        keys: [],
+        queryParams: [],
+        patterns: [],
+    }, scrub);
+    rules.patterns = rules.patterns.map((pattern) => {
+        if (pattern instanceof RegExp) {
+            return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+        }
+        if (!BUILT_IN_PATTERNS[pattern]) throw Error(`Unknown scrubbing pattern: ${pattern}`);
+        return BUILT_IN_PATTERNS[pattern];
+    });
+    rules.enabled = rules.keys.length > 0 || rules.queryParams.length > 0 ||
+        rules.patterns.length > 0;
+    rules.isScrubbedKey = nameMatcher(rules.keys);
+    rules.isScrubbedParam = nameMatcher(rules.keys.concat(rules.queryParams));
+    return rules;
+}
+
+/**
+ * Redact the query parameters of a URL matching the rules.
+ * @param {string} value the URL.
+ * @param {object} rules the scrubbing rules.
+ * @returns {string} the URL with redacted parameters.
+ */
+function scrubURL(value, rules) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return value;
+    }
+    let changed = false;
+    Array.from(url.searchParams.keys()).forEach((param) => {
+        if (rules.isScrubbedParam(param)) {
+            url.searchParams.set(param, REDACTED);
+            changed = true;
+        }
+    });
+    return changed ? url.toString() : value;
+}
+
+/**
+ * Mask the parts of a string matching the scrubbing patterns.
+ * @param {string} value the string.
+ * @param {object} rules the scrubbing rules.
+ * @returns {string} the masked string.
+ */
+function scrubString(value, rules) {
+    const masked = rules.patterns.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+    return URL_PATTERN.test(masked) ? scrubURL(masked, rules) : masked;
+}
+
+/**
+ * Scrub a value recursively: matching keys are redacted, URLs have matching query
+ * parameters redacted, and strings are masked with the patterns.
+ * @param {*} value the value to scrub.
+ * @param {object} rules the scrubbing rules.
+ * @returns {*} a scrubbed copy of the value.
+ */
+function scrubValue(value, rules) {
+    if (typeof value === 'string') return scrubString(value, rules);
+    if (Array.isArray(value)) return value.map(item => scrubValue(item, rules));
+    if (!value || typeof value !== 'object') return value;
+    const scrubbed = {};
+    Object.keys(value).forEach((key) => {
+        scrubbed[key] = rules.isScrubbedKey(key) ? REDACTED : scrubValue(value[key], rules);
+    });
+    return scrubbed;
+}
+
+/**
+ * Scrub the payload fields of an object, leaving its other fields untouched.
+ * @param {object} object the object, such as request data or a log entry.
+ * @param {array} fields names of the payload fields.
+ * @param {object} rules the scrubbing rules.
+ * @returns {object} a copy of the object with scrubbed payload fields.
+ */
+function scrubFields(object, fields, rules) {
+    if (!object || typeof object !== 'object') return object;
+    const scrubbed = Object.assign({}, object);
+    fields.filter(field => field in object).forEach((field) => {
+        scrubbed[field] = scrubValue(object[field], rules);
+    });
+    return scrubbed;
+}
+
+/**
+ * Mask the listed string fields of an object with the patterns and query
+ * parameter rules, without redacting them by key name.
+ * @param {object} object the object, such as the event or its KV data.
+ * @param {array} fields names of the string fields.
+ * @param {object} rules the scrubbing rules.
+ * @returns {object} a copy of the object with masked fields.
+ */
+function scrubText(object, fields, rules) {
+    if (!object || typeof object !== 'object') return object;
+    const scrubbed = Object.assign({}, object);
+    fields.filter(field => typeof object[field] === 'string').forEach((field) => {
+        scrubbed[field] = scrubString(object[field], rules);
+    });
+    return scrubbed;
+}
+
+/**
+ * Scrub an event: request and response headers, bodies and URLs, attributes,
+ * logs and custom data are scrubbed with every rule. Span fields that may hold
+ * user data, such as the name, which is the URL of fetch spans, error messages
+ * and stacks, status messages and KV, Durable Object and queue identifiers, are
+ * masked with the patterns and query parameter rules only, so they are never
+ * redacted because of their key name. Other span fields are left untouched.
+ * @param {object} event data of a span.
+ * @param {object} rules the scrubbing rules.
+ * @param {array} dataKeys keys of the custom data added to the event.
+ * @returns {object} a scrubbed copy of the event.
+ */
+function scrubEvent(event, rules, dataKeys) {
+    const scrubbed = scrubText(event, TEXT_FIELDS, rules);
+    Object.keys(IDENTIFIER_FIELDS).filter(field => event[field]).forEach((field) => {
+        scrubbed[field] = scrubText(event[field], IDENTIFIER_FIELDS[field], rules);
+    });
+    ['request', 'response'].filter(field => event[field]).forEach((field) => {
+        scrubbed[field] = scrubFields(event[field], MESSAGE_FIELDS, rules);
+    });
+    if (event.attributes) scrubbed.attributes = scrubValue(event.attributes, rules);
+    if (event.logs) scrubbed.logs = event.logs.map(log => scrubFields(log, LOG_FIELDS, rules));
+    dataKeys.filter(key => key in event).forEach((key) => {
+        scrubbed[key] = rules.isScrubbedKey(key) ? REDACTED : scrubValue(event[key], rules);
+    });
+    return scrubbed;
+}
+
+/**
+ * Scrub the events of a trace before they are exported.
+ * @param {array} events data for all spans.
+ * @param {object} rules the scrubbing rules.
+ * @param {object} data optional custom data added to the root span with the
+ * `data` option.
+ * @returns {array} scrubbed copies of the events.
+ */
+export function scrubEvents(events, rules, data) {
+    if (!rules.enabled) return events;
+    const dataKeys = data ? Object.keys(data) : [];
+    return events.map((event, index) => scrubEvent(event, rules, index === 0 ? dataKeys : []));
+}
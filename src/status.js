@@ -0,0 +1,46 @@
+const LEVELS = ['error', 'warning', 'ok'];
+
+/**
+ * Resolve the status rules from the user configuration. Rules map a status code,
+ * such as `'404'`, or a status class, such as `'5xx'`, to a level.
+ * @param {object} rules user defined status rules.
+ * @returns {object} the status rules, server errors being errors unless overridden.
+ */
+export function resolveStatusRules(rules) {
+    const resolved = { '5xx': 'error' };
+    Object.keys(rules || {}).forEach((key) => {
+        const level = rules[key];
+        if (!LEVELS.includes(level)) {
+            throw Error(`Invalid level of status rule ${key}: ${level}`);
+        }
+        resolved[key.toLowerCase()] = level;
+    });
+    return resolved;
+}
+
+/**
+ * Classify a response of a span, asking the `isError` callback first and then
+ * applying the status rules. The callback returns true or false to make the
+ * response an error or not, a level, or undefined to apply the rules.
+ * @param {object} response the response of the span.
+ * @param {object} span the span the response belongs to.
+ * @returns {string} error or warning, or undefined when the response is fine.
+ */
+export function classifyResponse(response, span) {
+    const { isError, statusRules } = span.config;
+    let level;
+    if (typeof isError === 'function') {
+        try {
+            const result = isError(response, span);
+            if (typeof result === 'boolean') level = result ? 'error' : 'ok';
+            if (LEVELS.includes(result)) level = result;
+        } catch (error) {
+            console.log('error in Epsagon isError > ', error);
+        }
+    }
+    if (!level) {
+        const status = String(response.status);
+        level = statusRules[status] || statusRules[`${status[0]}xx`];
+    }
+    return level === 'ok' ? undefined : level;
+}
@@ -0,0 +1,48 @@
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Whether the body of a response can be passed through a measuring stream.
+ * @param {object} response the response.
+ * @returns {boolean} true for responses with a body, except WebSocket upgrades.
+ */
+export function isMeasurable(response) {
+    return Boolean(response.body) &&
+        !NULL_BODY_STATUSES.includes(response.status) &&
+        !response.webSocket &&
+        typeof TransformStream === 'function';
+}
+
+/**
+ * Pass the body of a response through a stream counting the bytes read, so the
+ * end of the body can be observed.
+ * @param {object} response the response, whose body is consumed.
+ * @returns {object} the response to hand on, with the same status and headers,
+ * a `done` promise resolved with the outcome, complete or cancelled, and the
+ * bytes read once the body is done, and a `bytes` function returning the bytes
+ * read so far.
+ */
+export function measureBody(response) {
+    let bytes = 0;
+    const { readable, writable } = new TransformStream({
+        /**
+         * Count and pass on a chunk of the body.
+         * @param {Uint8Array} chunk the chunk.
+         * @param {object} controller the stream controller.
+         */
+        transform(chunk, controller) {
+            bytes += chunk.byteLength || 0;
+            controller.enqueue(chunk);
+        },
+    });
+    const done = response.body.pipeTo(writable).then(
+        () => ({ outcome: 'complete', bytes }),
+        () => ({ outcome: 'cancelled', bytes })
+    );
+    const measured = new Response(readable, response);
+    ['url', 'redirected'].forEach((key) => {
+        if (response[key] !== measured[key]) {
+            Object.defineProperty(measured, key, { value: response[key] });
+        }
+    });
+    return { response: measured, done, bytes: () => bytes };
+}
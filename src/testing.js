@@ -0,0 +1,67 @@
+/**
+ * Wait until every promise of a list is settled, including those added to the
+ * list in the meantime.
+ * @param {array} promises the promises, which may grow while waiting.
+ * @returns {Promise} resolved once all the promises are settled.
+ */
+function settleAll(promises) {
+    const count = promises.length;
+    return Promise.allSettled(promises)
+        .then(() => (promises.length > count ? settleAll(promises) : undefined));
+}
+
+/**
+ * Build a fetch event for running a traced listener outside of Workers, such
+ * as in tests. The event can also be passed as the context of a module worker
+ * handler.
+ * @param {string|object} input the request, or its URL.
+ * @param {object} init optional request options, as for `new Request`.
+ * @returns {object} the fetch event, with a `done()` method resolving to the
+ * response once the response and all waitUntil work are settled.
+ */
+export default function createTestEvent(input, init) {
+    const request = input instanceof Request && !init ? input : new Request(input, init);
+    if (!request.headers.has('host')) {
+        request.headers.set('host', new URL(request.url).host);
+    }
+    const waitUntilPromises = [];
+    let responsePromise;
+
+    return {
+        type: 'fetch',
+        request,
+
+        /**
+         * Set the response of the event.
+         * @param {object} response the response, or a promise of it.
+         */
+        respondWith(response) {
+            if (responsePromise) throw Error('respondWith was already called');
+            responsePromise = Promise.resolve(response);
+        },
+
+        /**
+         * Extend the event until a promise is settled.
+         * @param {Promise} promise the work to wait for.
+         */
+        waitUntil(promise) {
+            waitUntilPromises.push(Promise.resolve(promise));
+        },
+
+        /**
+         * Wait for the response and all waitUntil work, including sending the
+         * trace. The response body is read as the runtime would send it to the
+         * client, and returned in a copy of the response.
+         * @returns {Promise} the response, undefined if respondWith wasn't called.
+         */
+        async done() {
+            try {
+                const response = await responsePromise;
+                if (!response || !response.body) return response;
+                return new Response(await response.arrayBuffer(), response);
+            } finally {
+                await settleAll(waitUntilPromises);
+            }
+        },
+    };
+}
@@ -1,6 +1,27 @@
+import { getFetch } from './fetch';
+import { captureBody, isCaptureEnabled } from './capture';
+import { scrubEvents } from './scrub';
+import Logger, { LOG_LEVELS } from './logger';
+import { createExporters } from './exporters';
+import wrapKV from './kv';
+import wrapDurableObjectNamespace from './durable';
+import { wrapQueue } from './queue';
+import { extractTraceContext, injectTraceContext } from './propagation';
+import { getSampleRate, isSampled } from './sampling';
+import { runWithSpan } from './scope';
+import { pickCfFields } from './cf';
+import addLabel from './labels';
+import { bufferTrace, supportsBuffering } from './buffer';
+import { errorToException } from './errors';
+import { classifyResponse } from './status';
+import { debugLog, inspectPayload } from './debug';
+import { isMeasurable, measureBody } from './stream';
+
 const uuid = require('uuid');
 const uuidParse = require('uuid-parse');
 
+const STATUS_CODES = ['unset', 'ok', 'error'];
+
 /**
  * Return UUID in hex string.
  * @param {string} id uuid object.
@@ -12,6 +33,18 @@ function UUIDToHex(id) {
     return uuidBuffer.toString('hex');
 }
 
+/**
+ * Generate a random 32 character hex trace ID.
+ * @returns {string} trace ID.
+ */
+const generateTraceId = () => UUIDToHex(uuid.v4());
+
+/**
+ * Generate a random 16 character hex span ID.
+ * @returns {string} span ID.
+ */
+const generateSpanId = () => UUIDToHex(uuid.v4()).slice(16);
+
 /**
  * Return redacted headers.
  * @param {object} from the request or response headers.
@@ -30,19 +63,34 @@ const convertHeaders = (from, redacted) => {
 /**
  * Represents a span.
  */
-class Span {
+export class Span {
     /**
-     * @param {object} init contains name of span.
+     * @param {object} init contains name of span and optional parent trace context.
      * @param {object} config tracer configuration object.
      */
     constructor(init, config) {
+        const parentContext = init.trace_context || {};
         this.config = config;
         this.data = {};
         this.childSpans = [];
+        this.pending = [];
+        this.captureEnabled = true;
+        this.root = init.root || this;
+        this.logger = new Logger(this);
+        this.traceContext = {
+            traceId: parentContext.traceId || generateTraceId(),
+            spanId: generateSpanId(),
+            parentSpanId: parentContext.parentSpanId,
+            traceState: parentContext.traceState,
+            sampled: parentContext.sampled,
+        };
         this.eventMeta = {
             timestamp: Date.now(),
             name: init.name,
-            trace: init.trace_context,
+            kind: init.kind,
+            trace_id: this.traceContext.traceId,
+            span_id: this.traceContext.spanId,
+            parent_span_id: this.traceContext.parentSpanId,
         };
     }
 
@@ -64,6 +112,30 @@ class Span {
         Object.assign(this.data, data);
     }
 
+    /**
+     * Capture a request or response body in the background, if the policy allows it.
+     * @param {object} message the request or response.
+     * @param {object} json the event data the body is added to.
+     */
+    captureBody(message, json) {
+        const capture = captureBody(message, this.config.capture)
+            .then((body) => {
+                if (body !== undefined) Object.assign(json, { body });
+            })
+            .catch((error) => {
+                console.log('error in Epsagon body capture > ', error);
+            });
+        this.pending.push(capture);
+    }
+
+    /**
+     * Wait until the data of the span and its child spans is complete.
+     */
+    async settle() {
+        await Promise.all(this.pending);
+        await Promise.all(this.childSpans.map(span => span.settle()));
+    }
+
     /**
      * Transform request into event data, add event to tracer.
      * @param {object} request data to transform and add to tracer.
@@ -82,6 +154,9 @@ class Span {
             url: request.url,
         };
         this.addData({ request: json });
+        if (this.captureEnabled && this.config.capture.requestBody) {
+            this.captureBody(request, json);
+        }
     }
 
     /**
@@ -101,27 +176,95 @@ class Span {
             statusText: response.statusText,
             url: response.url,
         };
-        const contentType = this.response.headers.get('content-type');
+        this.addData({ response: json });
+        const level = classifyResponse(response, this);
+        if (level) {
+            const message = `Response code: ${response.status}`;
+            this.addData({ response_error: { level, type: 'HTTPError', message } });
+            if (level === 'error') this.setStatus('error', message);
+        }
         if (body) {
             json.body = body;
-            this.addData({ response: json });
+        } else if (this.captureEnabled && this.config.capture.responseBody) {
+            this.captureBody(response, json);
+        }
+    }
+
+    /**
+     * Record an error thrown by the work the span measures.
+     * @param {*} error the thrown error.
+     * @param {object} options optional `handled` flag, defaulting to the
+     * `handledErrors` option, and `source` of the error.
+     */
+    recordException(error, options = {}) {
+        const { type, message, stack } = errorToException(error);
+        this.addData({
+            exception: true,
+            error_name: type,
+            stack,
+            message,
+            handled: options.handled !== undefined ? options.handled : this.config.handledErrors,
+            error_source: options.source,
+        });
+        this.setStatus('error', message);
+    }
+
+    /**
+     * Set an attribute of the span, exported with the span data.
+     * @param {string} key name of the attribute.
+     * @param {string|number|boolean|array} value value of the attribute, undefined removes it.
+     * @returns {object} the span.
+     */
+    setAttribute(key, value) {
+        this.data.attributes = this.data.attributes || {};
+        if (value === undefined) {
+            delete this.data.attributes[key];
         } else {
-            if (contentType && contentType.indexOf('application/json') !== -1) {
-                this.response.json().then((data) => {
-                    json.body = data;
-                    this.addData({ response: json });
-                });
-            }
-            if (contentType && contentType.indexOf('text/plain;charset=UTF-8') !== -1) {
-                this.response.text().then((data) => {
-                    json.body = data;
-                    this.addData({ response: json });
-                });
-            }
-            if (contentType && contentType.indexOf('text/html; charset=UTF-8') !== -1) {
-                this.addData({ response: json });
-            }
+            this.data.attributes[key] = value;
         }
+        return this;
+    }
+
+    /**
+     * Set attributes of the span.
+     * @param {object} attributes names and values of the attributes.
+     * @returns {object} the span.
+     */
+    setAttributes(attributes) {
+        Object.keys(attributes || {}).forEach(key => this.setAttribute(key, attributes[key]));
+        return this;
+    }
+
+    /**
+     * Set the status of the span.
+     * @param {string} code unset, ok or error.
+     * @param {string} message optional description of the status.
+     * @returns {object} the span.
+     */
+    setStatus(code, message) {
+        if (!STATUS_CODES.includes(code)) {
+            throw new TypeError(`span status must be one of ${STATUS_CODES.join(', ')}`);
+        }
+        this.addData({ status: { code, message } });
+        return this;
+    }
+
+    /**
+     * Add a structured log entry to the span, if its level is enabled.
+     * @param {string} level debug, info, warn or error.
+     * @param {string} message the log message.
+     * @param {object} attributes optional structured data of the entry.
+     */
+    addLog(level, message, attributes) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.config.logLevel)) return;
+        this.data.logs = this.data.logs || [];
+        this.data.logs.push({
+            timestamp: new Date().toISOString(),
+            level,
+            message: String(message),
+            attributes,
+            span_id: this.traceContext.spanId,
+        });
     }
 
     /**
@@ -129,8 +272,7 @@ class Span {
      * @param {string} message to be added as log.
      */
     log(message) {
-        this.data.logs = this.data.logs || [];
-        this.data.logs.push(`${new Date().toISOString()}: ${message}`);
+        this.logger.info(message);
     }
 
     /**
@@ -147,36 +289,156 @@ class Span {
         this.eventMeta.duration_ms = Date.now() - this.eventMeta.timestamp;
     }
 
+    /**
+     * Measure the time to headers of a response, and pass its body through a
+     * stream recording the time to last byte and the bytes transferred. The span
+     * finishes once the body is read or cancelled. Bodies of child spans still
+     * unread when the root span finishes are reported as incomplete.
+     * @param {object} response the response, whose body is consumed.
+     * @returns {object} the response to hand on in place of the original.
+     */
+    measureResponse(response) {
+        const timing = { time_to_headers_ms: Date.now() - this.eventMeta.timestamp };
+        this.addData({ timing });
+        if (!isMeasurable(response)) {
+            Object.assign(timing, {
+                time_to_last_byte_ms: timing.time_to_headers_ms,
+                bytes: 0,
+                outcome: 'complete',
+            });
+            this.finish();
+            return response;
+        }
+
+        const measured = measureBody(response);
+        let { done } = measured;
+        if (this.root !== this && this.root.completed) {
+            done = Promise.race([
+                done,
+                this.root.completed.then(() => ({ outcome: 'incomplete', bytes: measured.bytes() })),
+            ]);
+        }
+        this.pending.push(done.then(({ outcome, bytes }) => {
+            Object.assign(timing, {
+                time_to_last_byte_ms: Date.now() - this.eventMeta.timestamp,
+                bytes,
+                outcome,
+            });
+            this.finish();
+        }));
+        return measured.response;
+    }
+
     /**
      * Replacement fetch that intercepts and captures request and response data.
      * @param {string} input url to fetch.
      * @param {object} init object from fetch call.
-     * @returns {Promise} the fetched promise.
+     * @returns {Promise} the fetched promise, resolving to a response whose body
+     * is measured.
      */
     fetch(input, init) {
         const request = new Request(input, init);
         const childSpan = this.startChildSpan(request.url, 'fetch');
+        if (this.config.sendTraceContext) {
+            injectTraceContext(request.headers, childSpan.traceContext);
+        }
         childSpan.addRequest(request);
-        const promise = fetch(request);
-        promise
-            .then((response) => {
-                childSpan.addResponse(response);
-                childSpan.finish();
-            })
-            .catch((reason) => {
-                childSpan.addData({ exception: reason });
-                childSpan.finish();
-            });
-        return promise;
+        return getFetch()(request).then((response) => {
+            childSpan.addResponse(response);
+            return childSpan.measureResponse(response);
+        }, (reason) => {
+            childSpan.recordException(reason);
+            childSpan.finish();
+            throw reason;
+        });
+    }
+
+    /**
+     * Wrap a Workers KV namespace binding, recording each operation as a child span.
+     * @param {object} namespace the KV namespace binding.
+     * @param {string} name name of the binding.
+     * @returns {Proxy} the traced KV namespace.
+     */
+    wrapKV(namespace, name) {
+        return wrapKV(this, namespace, name);
+    }
+
+    /**
+     * Wrap a Durable Object namespace binding, recording fetch calls on its stubs
+     * as child spans. The trace context is always sent to the Durable Object.
+     * @param {object} namespace the Durable Object namespace binding.
+     * @param {string} name name of the binding.
+     * @returns {Proxy} the traced namespace.
+     */
+    wrapDurableObjectNamespace(namespace, name) {
+        return wrapDurableObjectNamespace(this, namespace, name);
+    }
+
+    /**
+     * Wrap a queue producer binding, recording sent messages as child spans.
+     * When `embedQueueTraceContext` is enabled, the trace context is embedded in
+     * the messages so traced consumers link back to the producer.
+     * @param {object} queue the queue producer binding.
+     * @param {string} name name of the queue.
+     * @returns {Proxy} the traced queue binding.
+     */
+    wrapQueue(queue, name) {
+        return wrapQueue(this, queue, name);
+    }
+
+    /**
+     * Start a span measuring work of the user code, as a child of this span.
+     * @param {string} name name of the span.
+     * @param {object} options optional kind of the span, defaulting to custom,
+     * and its initial attributes.
+     * @returns {object} the started span, to be finished by the caller.
+     */
+    startSpan(name, options = {}) {
+        const span = this.startChildSpan(name, options.kind || 'custom');
+        span.setAttributes(options.attributes);
+        return span;
+    }
+
+    /**
+     * Run a function in a child span, finished once the function settles. Errors
+     * are recorded on the span and rethrown. The span is the active one while the
+     * function runs, so globally traced fetch calls are attached to it.
+     * @param {string} name name of the span.
+     * @param {function} fn the function to run, receiving the span.
+     * @param {object} options optional kind and attributes of the span.
+     * @returns {Promise} the result of the function.
+     */
+    async trace(name, fn, options) {
+        const span = this.startSpan(name, options);
+        try {
+            return await runWithSpan(span, () => fn(span));
+        } catch (error) {
+            span.recordException(error);
+            throw error;
+        } finally {
+            span.finish();
+        }
     }
 
     /**
      * Create child span.
      * @param {string} name of child span.
+     * @param {string} kind optional type of the work the span records.
      * @returns {object} the child span..
      */
-    startChildSpan(name) {
-        const span = new Span({ name }, this.config);
+    startChildSpan(name, kind) {
+        const span = new Span({
+            name,
+            kind,
+            root: this.root,
+            trace_context: {
+                traceId: this.traceContext.traceId,
+                parentSpanId: this.traceContext.spanId,
+                traceState: this.traceContext.traceState,
+                sampled: this.traceContext.sampled,
+            },
+        }, this.config);
+        span.captureEnabled = this.captureEnabled;
         this.childSpans.push(span);
         return span;
     }
@@ -189,157 +451,140 @@ export class Tracer extends Span {
     /**
      * @param {object} request contains the incoming request data.
      * @param {object} config tracer configuration object.
+     * @param {object} options optional trigger and runner descriptions, and
+     * upstream trace context, used instead of the ones derived from the request.
      */
-    constructor(request, config) {
+    constructor(request, config, options = {}) {
+        let upstreamContext;
+        if (config.acceptTraceContext) {
+            upstreamContext = request ? extractTraceContext(request.headers) : options.traceContext;
+        }
         super({
             name: 'request',
+            trace_context: upstreamContext,
         }, config);
+        this.upstreamContext = upstreamContext;
+        this.completed = new Promise((resolve) => {
+            this.resolveCompleted = resolve;
+        });
+        this.trigger = options.trigger;
+        this.runner = options.runner || {};
+        this.sampleRate = getSampleRate(config.sampleRates, request);
+        this.traceContext.sampled = upstreamContext && typeof upstreamContext.sampled === 'boolean' ?
+            upstreamContext.sampled : isSampled(this.traceContext.traceId, this.sampleRate);
         this.request = request;
+        this.labels = {};
+        Object.entries({
+            worker_name: config.workerName,
+            environment: config.environment,
+            version: config.version,
+        })
+            .filter(([, value]) => value)
+            .forEach(([key, value]) => {
+                this.label(key, value);
+            });
+        Object.keys(config.labels).forEach(key => this.label(key, config.labels[key]));
+        this.captureEnabled = isCaptureEnabled(config.capture, request);
         this.addRequest(request);
+        if (request) this.addData({ cf: pickCfFields(request.cf, config.cfFields) });
         this.addData(config.data);
     }
 
+    /**
+     * Label the trace, so traces can be searched and alerted on by the label.
+     * Labels that are not a string, number or boolean, or that would make the
+     * labels exceed `maxLabelsSize` characters, are dropped.
+     * @param {string} key name of the label.
+     * @param {string|number|boolean} value value of the label.
+     * @returns {boolean} whether the label was added.
+     */
+    label(key, value) {
+        const problem = addLabel(this.labels, key, value, this.config.maxLabelsSize);
+        if (problem) debugLog(this.config, `label ${key} dropped`, problem);
+        return !problem;
+    }
+
     /**
      *Parses out any spans/events that are not yet completed.
      * @param {array} excludeSpans list of spans with uncompleted transactions.
      */
     async sendEvents(excludeSpans) {
+        if (!this.shouldSend()) return;
+        await this.settle();
         const events = this.parseToEvents().filter(event => (excludeSpans ?
             !excludeSpans.includes(event.name) : true));
-        await this.sendBatch(events);
+        await this.sendBatch(scrubEvents(events, this.config.scrub, this.config.data));
+    }
+
+    /**
+     * Whether the trace ended in an exception, or an error status, set by an error
+     * response too.
+     * @returns {boolean} true if the trace has an error.
+     */
+    hasError() {
+        if (this.data.exception) return true;
+        return Boolean(this.data.status && this.data.status.code === 'error');
+    }
+
+    /**
+     * Decide if the trace is sent, either sampled or kept because of an error.
+     * @returns {boolean} true if the trace should be sent.
+     */
+    shouldSend() {
+        return this.traceContext.sampled || (this.config.alwaysSampleErrors && this.hasError());
+    }
+
+    /**
+     * Calculate tracer end time, marking the trace as completed.
+     */
+    finish() {
+        super.finish();
+        this.resolveCompleted();
     }
 
     /**
      *Takes in response data, formats according to if an error occurs, adds to tracer.
-     * @param {object} response list of spans with uncompleted transactions.
+     * The tracer finishes once the body of the response is read or cancelled.
+     * @param {object} response the response of the request, if one was made.
      * @param {object} error object.
      * @param {object} body option body that can be passed for inclusion.
+     * @returns {object} the response to hand to the runtime, with a measured body.
      */
     finishResponse(response, error, body) {
         if (response) {
             this.addResponse(response, body);
-        } else if (error) {
-            this.addData({
-                exception: true,
-                error_name: error.name,
-                stack: error.stack,
-                message: error.message,
-                responseException: error.toString(),
-            });
+            return this.measureResponse(response);
         }
+        if (error) this.recordException(error);
         this.finish();
+        return response;
     }
 
     /**
-     *Take all event data and convert into Epsagon tracer format
+     *Take all event data, format and send it with the configured exporters
      * @param {array} events data for all spans.
      */
     async sendBatch(events) {
         try {
-            const url = 'https://us-east-1.tc.epsagon.com/';
-
-            const traces = {
-                app_name: this.config.app_name,
-                token: this.config.token,
-                version: '1.0.0',
-                platform: 'Javascript',
-                exceptions: [],
-            };
-
-            const triggerTrace = {
-                origin: 'trigger',
-                id: uuid.v4(),
-                start_time: (events[0].timestamp * 0.001),
-                duration: (events[0].duration_ms * 0.001),
-                resource: {
-                    name: events[0].request.headers.host,
-                    type: 'http',
-                    operation: events[0].request.method,
-                    metadata: {
-                        'http.request.headers': events[0].request.headers,
-                        'http.request.path': new URL(events[0].request.url).pathname,
-                    },
-                },
-                error_code: 0,
-                exception: {},
-            };
-
-            const runnerTrace = {
-                origin: 'runner',
-                id: uuid.v4(),
-                start_time: (events[0].timestamp * 0.001),
-                duration: (events[0].duration_ms * 0.001),
-                resource: {
-                    name: (`${events[0].request.headers.host.replace('https://', '').split('.')[0]}-worker`),
-                    type: 'cloudflare_worker',
-                    operation: 'execute',
-                    metadata: {
-                        'cloudflare.return_value': events[0].response ? events[0].response.body : null,
-                        'cloudflare.requestContext': events[0].request,
-                        'cloudflare.debug_events': this.config.debug ? JSON.stringify(events) : null,
-                        'cloudflare.logs': events[0].logs || [],
-                    },
-                },
-            };
-
-            if (events[0].exception) {
-                runnerTrace.exception = {
-                    type: events[0].error_name,
-                    tracebook: events[0].stack,
-                    additional_data: {
-                        warning: false,
-                        handled: false,
-                    },
-                    message: events[0].message,
-                };
-                runnerTrace.error_code = 2;
+            const items = createExporters(this.config).map(exporter => ({
+                exporter,
+                payload: exporter.format(events, this),
+            }));
+            items.forEach(({ exporter, payload }) => {
+                inspectPayload(this.config, exporter, payload);
+            });
+            if (this.config.dryRun) {
+                debugLog(this.config, 'dry run, trace not sent');
+            } else if (this.config.buffer.enabled) {
+                const buffered = items.filter(({ exporter }) => supportsBuffering(exporter));
+                await Promise.all([
+                    buffered.length ? bufferTrace(buffered, this.config.buffer) : undefined,
+                    ...items.filter(({ exporter }) => !supportsBuffering(exporter))
+                        .map(({ exporter, payload }) => exporter.export(payload)),
+                ]);
             } else {
-                runnerTrace.exception = {};
-                runnerTrace.error_code = 0;
-            }
-
-            traces.events = [triggerTrace, runnerTrace];
-
-            if (events.length > 1) {
-                events.forEach((value, index) => {
-                    if (index !== 0) {
-                        const hexTraceId = UUIDToHex(uuid.v4());
-                        const spanId = UUIDToHex(uuid.v4()).slice(16);
-                        const parentSpanId = UUIDToHex(uuid.v4()).slice(16);
-                        const httpTrace = {
-                            origin: 'http',
-                            start_time: (value.timestamp * 0.001),
-                            duration: (value.duration_ms * 0.001),
-                            resource: {
-                                name: value.name,
-                                type: 'http',
-                                operation: value.request.method,
-                                metadata: {
-                                    http_trace_id: `${hexTraceId}:${spanId}:${parentSpanId}:1`,
-                                    'http.request.path': value.name,
-                                    'http.request.headers': value.request.headers,
-                                    'http.response.body': value.response.body,
-                                    'http.response.status_code': value.response.status,
-                                    'http.url': value.response.url,
-                                },
-                            },
-                            error_code: 0,
-                            exception: {},
-                        };
-                        traces.events.push(httpTrace);
-                    }
-                });
+                await Promise.all(items.map(({ exporter, payload }) => exporter.export(payload)));
             }
-            const params = {
-                method: 'POST',
-                body: JSON.stringify(traces),
-                headers: {
-                    'Content-Type': 'application/json',
-                    Authorization: `Bearer ${this.config.token}`,
-                },
-            };
-            const request = new Request(url, params);
-            await fetch(request);
         } catch (error) {
             console.log('error in Epsagon > ', error);
         }
@@ -0,0 +1,77 @@
+import { getFetch } from './fetch';
+import { debugLog } from './debug';
+
+/**
+ * Whether a collector response status is worth retrying.
+ * @param {number} status the response status.
+ * @returns {boolean} true for timeouts, throttling and server errors.
+ */
+const isTransient = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Wait before the next attempt.
+ * @param {number} milliseconds time to wait.
+ * @returns {Promise} resolved after the delay.
+ */
+const delay = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/**
+ * Send a request with the configured transport, or the original fetch, aborting
+ * it when it takes longer than the timeout.
+ * @param {object} request the request to send.
+ * @param {object} config tracer configuration object.
+ * @returns {Promise} the response.
+ */
+async function fetchWithTimeout(request, config) {
+    const transport = config.transport || getFetch();
+    const timeout = config.sendTimeout;
+    if (!timeout || typeof AbortController === 'undefined') {
+        return transport(request);
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await transport(request, { signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Send a request, retrying transient failures with exponential backoff.
+ * @param {object} request the request to send, cloned for every attempt.
+ * @param {object} config tracer configuration object.
+ * @param {number} attempt the number of attempts already made.
+ * @returns {Promise} the last response, rejected if the last attempt failed.
+ */
+async function attemptSend(request, config, attempt) {
+    let response;
+    let error;
+    try {
+        response = await fetchWithTimeout(request.clone(), config);
+    } catch (err) {
+        error = err;
+    }
+    if (response && !isTransient(response.status)) return response;
+    debugLog(config, `attempt ${attempt + 1} to send to ${request.url} failed`, error || response.status);
+    if (attempt >= config.sendRetries) {
+        if (error) throw error;
+        return response;
+    }
+    await delay(config.retryBackoff * (2 ** attempt));
+    return attemptSend(request, config, attempt + 1);
+}
+
+/**
+ * Send a request to a collector, with the configured timeout and retries.
+ * @param {object} request the collector request.
+ * @param {object} config tracer configuration object.
+ * @returns {Promise} the collector response.
+ */
+export default async function send(request, config) {
+    const response = await attemptSend(request, config, 0);
+    if (!response.ok) {
+        throw Error(`Collector responded with status ${response.status}`);
+    }
+    return response;
+}
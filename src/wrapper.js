@@ -1,4 +1,20 @@
 import Tracer from './tracer';
+import { instrumentFetch, restoreFetch } from './fetch';
+import { instrumentConsole, restoreConsole } from './console';
+import { instrumentErrors, restoreErrors } from './errors';
+import { extractMessageContext, wrapBatch } from './queue';
+import { resolveCapture } from './capture';
+import { resolveScrub } from './scrub';
+import { DEFAULT_CF_FIELDS } from './cf';
+import { resolveBuffer, warnUnbuffered } from './buffer';
+import { createExporters } from './exporters';
+import { resolveStatusRules } from './status';
+import {
+    enterScope,
+    exitScope,
+    initStorage,
+    runWithSpan
+} from './scope';
 
 /**
  * Represents promise coordinator, ensures all promises are settled before
@@ -42,20 +58,52 @@ class TraceWrapper {
      * @param {object} event the cloudflare event data.
      * @param {function} listener that wraps instrumented function.
      * @param {object} config tracer configuration
+     * @param {object} options optional trigger and runner descriptions for events
+     * that are not fetch events.
      */
-    constructor(event, listener, config) {
+    constructor(event, listener, config, options) {
         this.event = event;
         this.listener = listener;
         this.waitUntilUsed = false;
         this.config = config;
-        this.tracer = new Tracer(event.request, this.config);
+        this.tracer = new Tracer(event.request, this.config, options);
         this.waitUntilSpan = this.tracer.startChildSpan('waitUntil', 'worker');
+        this.respondWithUsed = typeof event.respondWith === 'function';
         this.settler = new PromiseSettledCoordinator(() => {
             this.waitUntilSpan.finish();
+            if (!this.respondWithUsed) this.tracer.finish();
+            this.exitScope();
             this.sendEvents();
         });
+        this.enterScope();
         this.setupWaitUntil();
-        this.setUpRespondWith();
+        if (this.respondWithUsed) {
+            this.setUpRespondWith();
+        } else {
+            this.setUpInvocation();
+        }
+    }
+
+    /**
+     * Makes the tracer the active one, patching the global fetch and console and
+     * listening to global errors if configured
+     */
+    enterScope() {
+        initStorage(this.config.asyncLocalStorage || globalThis.AsyncLocalStorage);
+        enterScope(this.tracer);
+        if (this.config.instrumentGlobalFetch) instrumentFetch();
+        if (this.config.captureConsole) instrumentConsole();
+        if (this.config.captureUnhandledErrors) instrumentErrors();
+    }
+
+    /**
+     * Removes the tracer from the active ones, undoing the patches of enterScope
+     */
+    exitScope() {
+        exitScope(this.tracer);
+        if (this.config.instrumentGlobalFetch) restoreFetch();
+        if (this.config.captureConsole) restoreConsole();
+        if (this.config.captureUnhandledErrors) restoreErrors();
     }
 
     /**
@@ -76,15 +124,14 @@ class TraceWrapper {
     }
 
     /**
-     * Finishes wait until process, adds exception data as necessary
-     * @param {object} error captured during request, sent to tracer
+     * Records a failed wait until task on the waitUntil span, and on the runner
+     * unless it already failed
+     * @param {*} error captured during request, sent to tracer
      */
     finishWaitUntil(error) {
-        if (error) {
-            this.tracer.addData({ exception: true, waitUtilException: error.toString() });
-            this.waitUntilSpan.addData({ exception: error });
-            if (error.stack) this.waitUntilSpan.addData({ stacktrace: error.stack });
-        }
+        const options = { source: 'waitUntil' };
+        this.waitUntilSpan.recordException(error, options);
+        if (!this.tracer.data.exception) this.tracer.recordException(error, options);
     }
 
     /**
@@ -105,24 +152,23 @@ class TraceWrapper {
         const logger = this;
         this.event.waitUntil = new Proxy(this.event.waitUntil, {
             /**
-             * Trap and modify incoming request
-             * @param {function} _target function.
-             * @param {object} _thisArg the this argument for the call.
+             * Trap and modify incoming request. Once the trace is done, work is
+             * handed to the original waitUntil untraced.
+             * @param {function} target function.
+             * @param {object} thisArg the this argument for the call.
              * @param {object} argArray list of arguments for the call.
              */
-            apply(_target, _thisArg, argArray) {
+            apply(target, thisArg, argArray) {
+                if (logger.settler.allSettled) {
+                    Reflect.apply(target, thisArg, argArray);
+                    return;
+                }
                 logger.startWaitUntil();
                 const promise = Promise.resolve(argArray[0]);
-                promise.then(() => {
-                });
                 logger.settler.addPromise(promise);
-                promise
-                    .then(() => {
-                        logger.finishWaitUntil();
-                    })
-                    .catch((reason) => {
-                        logger.finishWaitUntil(reason);
-                    });
+                promise.catch((reason) => {
+                    logger.finishWaitUntil(reason);
+                });
             },
         });
     }
@@ -134,13 +180,34 @@ class TraceWrapper {
         this.proxyRespondWith();
         try {
             this.event.request.tracer = this.tracer;
+            this.event.tracer = this.tracer;
             this.event.waitUntilTracer = this.waitUntilSpan;
-            this.listener(this.event);
+            runWithSpan(this.tracer, () => this.listener(this.event));
         } catch (err) {
             this.tracer.finishResponse(undefined, err);
+            this.settler.addPromise(Promise.reject(err));
         }
     }
 
+    /**
+     * Set up an invocation without a response, where the runner lasts until the
+     * listener result and all waitUntil work are settled
+     */
+    setUpInvocation() {
+        try {
+            this.event.tracer = this.tracer;
+            this.event.waitUntilTracer = this.waitUntilSpan;
+            const result = runWithSpan(this.tracer, () => this.listener(this.event));
+            this.result = Promise.resolve(result);
+        } catch (err) {
+            this.result = Promise.reject(err);
+        }
+        this.settler.addPromise(this.result.catch((reason) => {
+            this.tracer.finishResponse(undefined, reason);
+            throw reason;
+        }));
+    }
+
     /**
      * Adds proxy to respond with process
      */
@@ -154,49 +221,171 @@ class TraceWrapper {
              * @param {object} argArray list of arguments for the call.
              */
             apply(target, thisArg, argArray) {
-                const responsePromise = Promise.resolve(argArray[0]);
-                Reflect.apply(target, thisArg, argArray);
-                const promise = new Promise((resolver, reject) => {
-                    responsePromise
-                        .then((response) => {
-                            let responseBody;
-                            let clonedResponse;
-                            const contentType = response.headers.get('content-type');
-                            if (contentType && contentType.indexOf('application/json') !== -1) {
-                                clonedResponse = response.clone();
-                                clonedResponse.json().then((data) => {
-                                    responseBody = data;
-                                });
-                            }
-                            if (contentType && contentType.indexOf('text/plain;charset=UTF-8') !== -1) {
-                                clonedResponse = response.clone();
-                                clonedResponse.text().then((data) => {
-                                    responseBody = data;
-                                });
-                            }
-                            setTimeout(() => {
-                                logger.tracer.finishResponse(response, null, responseBody);
-                                resolver(response);
-                            }, 1);
-                        }).catch((reason) => {
-                            setTimeout(() => {
-                                logger.tracer.finishResponse(undefined, reason);
-                                reject(reason);
-                            }, 1);
-                        });
+                const promise = Promise.resolve(argArray[0]).then(response => (
+                    logger.tracer.finishResponse(response)
+                ), (reason) => {
+                    logger.tracer.finishResponse(undefined, reason);
+                    throw reason;
                 });
+                Reflect.apply(target, thisArg, [promise]);
                 logger.settler.addPromise(promise);
             },
         });
     }
 }
 
+/**
+ * Builds an execution context for module workers whose waitUntil is routed
+ * through the traced event, while every other member reaches the original.
+ * The tracer of the invocation is exposed as `ctx.tracer`.
+ * @param {object} ctx the execution context passed to the module handler.
+ * @param {object} event the traced event wrapping the invocation.
+ * @returns {Proxy} execution context to hand to the user handler.
+ */
+function proxyContext(ctx, event) {
+    return new Proxy(ctx, {
+        /**
+         * Trap property access on the execution context
+         * @param {object} target execution context.
+         * @param {string} prop the accessed property.
+         * @returns {*} the traced waitUntil, the tracer or the original member.
+         */
+        get(target, prop) {
+            if (prop === 'waitUntil') return promise => event.waitUntil(promise);
+            if (prop === 'tracer') return event.tracer;
+            const value = Reflect.get(target, prop);
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+    });
+}
+
+/**
+ * Traces a module worker fetch invocation by adapting it to the event shape
+ * expected by TraceWrapper.
+ * @param {object} config tracer configuration.
+ * @param {object} request the incoming request.
+ * @param {object} ctx the execution context of the invocation.
+ * @param {function} handler called with the request and the traced context.
+ * @param {object} options optional trigger and runner descriptions.
+ * @returns {Promise} the response handed back to the runtime.
+ */
+function traceFetch(config, request, ctx, handler, options) {
+    return new Promise((resolver, reject) => {
+        const event = {
+            type: 'fetch',
+            request,
+            waitUntil: ctx.waitUntil.bind(ctx),
+            respondWith: (response) => {
+                Promise.resolve(response).then(resolver, reject);
+            },
+        };
+        new TraceWrapper(event, (tracedEvent) => {
+            let response;
+            try {
+                response = handler(tracedEvent.request, proxyContext(ctx, tracedEvent));
+            } catch (err) {
+                response = Promise.reject(err);
+            }
+            tracedEvent.respondWith(response);
+        }, config, options);
+    });
+}
+
+/**
+ * Traces an invocation that does not respond to a request, such as an alarm.
+ * @param {object} config tracer configuration.
+ * @param {object} ctx the execution context of the invocation.
+ * @param {function} handler called with the traced context and the tracer,
+ * returns the result.
+ * @param {object} options trigger and runner descriptions.
+ * @returns {Promise} the handler result handed back to the runtime.
+ */
+function traceInvocation(config, ctx, handler, options) {
+    const event = {
+        type: options.trigger.type,
+        waitUntil: ctx.waitUntil.bind(ctx),
+    };
+    const wrapper = new TraceWrapper(event, tracedEvent => handler(
+        proxyContext(ctx, tracedEvent),
+        tracedEvent.tracer
+    ), config, options);
+    return wrapper.result;
+}
+
+/**
+ * Describes a Cron Trigger invocation for the trigger event.
+ * @param {string} cron the cron expression that triggered the invocation.
+ * @param {number} scheduledTime the scheduled time in milliseconds.
+ * @returns {object} trigger description.
+ */
+function cronOptions(cron, scheduledTime) {
+    return {
+        trigger: {
+            type: 'cloudflare_cron',
+            name: cron,
+            operation: 'scheduled',
+            metadata: {
+                'cloudflare.cron': cron,
+                'cloudflare.scheduled_time': new Date(scheduledTime).toISOString(),
+            },
+        },
+    };
+}
+
+/**
+ * Describes a queue consumer invocation for the trigger event. The trace
+ * context of the first message, if any, can seed the consumer trace.
+ * @param {object} batch the message batch.
+ * @returns {object} trigger description and upstream trace context.
+ */
+function queueOptions(batch) {
+    const withContext = batch.messages.find(message => extractMessageContext(message.body));
+    return {
+        trigger: {
+            type: 'cloudflare_queue',
+            name: batch.queue,
+            operation: 'consume',
+            metadata: {
+                'cloudflare.queue.name': batch.queue,
+                'cloudflare.queue.batch_size': batch.messages.length,
+            },
+        },
+        traceContext: withContext ? extractMessageContext(withContext.body) : undefined,
+    };
+}
+
+/**
+ * Runs a queue consumer with a traced batch.
+ * @param {object} batch the message batch.
+ * @param {object} tracer the tracer of the invocation.
+ * @param {function} run calls the consumer with the traced batch.
+ * @returns {Promise} the consumer result.
+ */
+function consumeBatch(batch, tracer, run) {
+    const traced = wrapBatch(tracer, batch);
+    let result;
+    try {
+        result = Promise.resolve(run(traced.batch));
+    } catch (err) {
+        result = Promise.reject(err);
+    }
+    return result.then((value) => {
+        traced.finish(false);
+        return value;
+    }, (reason) => {
+        traced.finish(true);
+        throw reason;
+    });
+}
+
 /**
  * Initiates tracer configuration based on user defined config and defaults.
- * @param {object} cfg user defined configuration options.
+ * @param {object|function} cfg user defined configuration options, or a function
+ * building them from the worker environment.
+ * @param {object} env optional worker environment bindings.
  * @returns {object} config to be used by tracer.
  */
-function resolve(cfg) {
+function resolve(cfg, env) {
     const configDefaults = {
         acceptTraceContext: false,
         token: '',
@@ -205,17 +394,92 @@ function resolve(cfg) {
         redactRequestHeaders: ['authorization', 'cookie', 'referer'],
         redactResponseHeaders: ['set-cookie'],
         sampleRates: () => 1,
+        alwaysSampleErrors: false,
         sendTraceContext: false,
+        embedQueueTraceContext: false,
         serviceName: 'worker',
         debug: false,
+        dryRun: false,
+        transport: undefined,
+        logLevel: 'debug',
+        captureConsole: false,
+        region: 'us-east-1',
+        collectorUrl: undefined,
+        sendTimeout: 5000,
+        sendRetries: 2,
+        retryBackoff: 100,
+        exporter: 'epsagon',
+        otlp: {},
+        capture: {},
+        scrub: {},
+        instrumentGlobalFetch: false,
+        asyncLocalStorage: null,
+        cfFields: DEFAULT_CF_FIELDS,
+        workerName: undefined,
+        environment: undefined,
+        version: undefined,
+        labels: {},
+        maxLabelsSize: 10 * 1024,
+        buffer: {},
+        captureUnhandledErrors: true,
+        handledErrors: false,
+        statusRules: {},
+        isError: undefined,
     };
 
-    const config = Object.assign({}, configDefaults, cfg);
+    const config = Object.assign({}, configDefaults, typeof cfg === 'function' ? cfg(env) : cfg);
+    if (!config.token && env && env.EPSAGON_TOKEN) {
+        config.token = env.EPSAGON_TOKEN;
+    }
+    if (env) {
+        const versionMetadata = env.CF_VERSION_METADATA || {};
+        config.workerName = config.workerName || env.EPSAGON_WORKER_NAME;
+        config.environment = config.environment || env.EPSAGON_ENVIRONMENT;
+        config.version = config.version || env.EPSAGON_VERSION || versionMetadata.id;
+    }
+    config.capture = resolveCapture(config.capture);
+    config.scrub = resolveScrub(config.scrub);
+    config.buffer = resolveBuffer(config.buffer);
+    config.statusRules = resolveStatusRules(config.statusRules);
+    if (!config.collectorUrl) {
+        config.collectorUrl = `https://${config.region}.tc.epsagon.com/`;
+    }
     config.redactRequestHeaders = config.redactRequestHeaders.map(header => header.toLowerCase());
     config.redactResponseHeaders = config.redactResponseHeaders.map(header => header.toLowerCase());
+    if (config.buffer.enabled) warnUnbuffered(createExporters(config));
     return config;
 }
 
+/**
+ * Builds the configuration lookup of a module worker or Durable Object. Object
+ * configs are validated once, when wrapping, and resolved once per environment.
+ * Config functions are resolved for every invocation, and an invalid result is
+ * logged instead of thrown, so a tracing problem can't take down the Worker.
+ * @param {object|function} cfg user defined configuration options, or a function
+ * building them from the worker environment.
+ * @returns {function} returns the config of an environment, or undefined when it
+ * can't be resolved and the invocation should run untraced.
+ */
+function configResolver(cfg) {
+    if (typeof cfg !== 'function') {
+        const fallback = resolve(cfg);
+        const configs = new WeakMap();
+        return (env) => {
+            if (!env || typeof env !== 'object') return fallback;
+            if (!configs.has(env)) configs.set(env, resolve(cfg, env));
+            return configs.get(env);
+        };
+    }
+    return (env) => {
+        try {
+            return resolve(cfg, env);
+        } catch (error) {
+            console.log('error in Epsagon config > ', error);
+            return undefined;
+        }
+    };
+}
+
 /**
  * Main function, used as wrapper for instrumentation
  * @param {object} cfg user defined configuration options.
@@ -233,7 +497,152 @@ export function epsagon(cfg, listener) {
          */
         apply(_target, _thisArg, argArray) {
             const event = argArray[0];
-            new TraceWrapper(event, listener, config);
+            const options = event.type === 'scheduled' ?
+                cronOptions(event.cron, event.scheduledTime) : undefined;
+            new TraceWrapper(event, listener, config, options);
         },
     });
 }
+
+/**
+ * Wraps a module worker handler object, used as wrapper for instrumentation
+ * @param {object|function} cfg user defined configuration options, or a function
+ * building them from the worker environment.
+ * @param {object} handler the module worker default export.
+ * @returns {Proxy} handler object whose invocations are traced.
+ */
+export function wrapModule(cfg, handler) {
+    const configFor = configResolver(cfg);
+    return new Proxy(handler, {
+        /**
+         * Trap handler lookups and instrument the fetch, scheduled and queue handlers
+         * @param {object} target handler object.
+         * @param {string} prop the accessed property.
+         * @param {object} receiver the proxy or an object inheriting from it.
+         * @returns {*} the instrumented handler or the original member.
+         */
+        get(target, prop, receiver) {
+            const value = Reflect.get(target, prop, receiver);
+            if (typeof value !== 'function') return value;
+            if (!['fetch', 'scheduled', 'queue'].includes(prop)) return value;
+            return (input, env, ctx) => {
+                const config = configFor(env);
+                if (!config) return value.call(target, input, env, ctx);
+                if (prop === 'fetch') {
+                    return traceFetch(
+                        config,
+                        input,
+                        ctx,
+                        (tracedRequest, tracedCtx) => value.call(
+                            target, tracedRequest, env, tracedCtx
+                        )
+                    );
+                }
+                if (prop === 'scheduled') {
+                    return traceInvocation(
+                        config,
+                        ctx,
+                        tracedCtx => value.call(target, input, env, tracedCtx),
+                        cronOptions(input.cron, input.scheduledTime)
+                    );
+                }
+                return traceInvocation(
+                    config,
+                    ctx,
+                    (tracedCtx, tracer) => consumeBatch(input, tracer,
+                        tracedBatch => value.call(target, tracedBatch, env, tracedCtx)),
+                    queueOptions(input)
+                );
+            };
+        },
+    });
+}
+
+epsagon.wrapModule = wrapModule;
+
+/**
+ * Wraps a Durable Object class so its fetch and alarm handlers are traced.
+ * Requests from stubs wrapped with `tracer.wrapDurableObjectNamespace` carry the
+ * trace context of the caller, which is always accepted.
+ * @param {object|function} cfg user defined configuration options, or a function
+ * building them from the worker environment.
+ * @param {function} DurableObjectClass the Durable Object class.
+ * @returns {function} the instrumented Durable Object class.
+ */
+export function wrapDurableObject(cfg, DurableObjectClass) {
+    const className = DurableObjectClass.name;
+    const configFor = configResolver(cfg);
+    const TracedDurableObject = class extends DurableObjectClass {
+        /**
+         * @param {object} state the Durable Object state.
+         * @param {object} env the worker environment bindings.
+         */
+        constructor(state, env) {
+            super(state, env);
+            this.epsagonState = state;
+            const config = configFor(env);
+            this.epsagonConfig = config && Object.assign({}, config, { acceptTraceContext: true });
+        }
+
+        /**
+         * Describes the Durable Object for the runner event.
+         * @returns {object} runner description.
+         */
+        epsagonRunner() {
+            const { id } = this.epsagonState;
+            return {
+                type: 'cloudflare_durable_object',
+                name: className,
+                metadata: {
+                    'cloudflare.durable_object.id': id ? id.toString() : undefined,
+                    'cloudflare.durable_object.name': id ? id.name : undefined,
+                },
+            };
+        }
+
+        /**
+         * Traced Durable Object fetch handler.
+         * @param {object} request the incoming request.
+         * @returns {Promise} the response.
+         */
+        fetch(request) {
+            if (!this.epsagonConfig) return super.fetch(request);
+            return traceFetch(
+                this.epsagonConfig,
+                request,
+                this.epsagonState,
+                tracedRequest => super.fetch(tracedRequest),
+                { runner: this.epsagonRunner() }
+            );
+        }
+
+        /**
+         * Traced Durable Object alarm handler.
+         * @param {...*} args arguments passed by the runtime.
+         * @returns {Promise} the alarm handler result.
+         */
+        alarm(...args) {
+            if (!this.epsagonConfig) return super.alarm(...args);
+            return traceInvocation(
+                this.epsagonConfig,
+                this.epsagonState,
+                () => super.alarm(...args),
+                {
+                    trigger: {
+                        type: 'cloudflare_durable_object_alarm',
+                        name: className,
+                        operation: 'alarm',
+                        metadata: {},
+                    },
+                    runner: this.epsagonRunner(),
+                }
+            );
+        }
+    };
+    ['fetch', 'alarm'].forEach((handler) => {
+        if (typeof DurableObjectClass.prototype[handler] !== 'function') {
+            delete TracedDurableObject.prototype[handler];
+        }
+    });
+    return TracedDurableObject;
+}
@@ -0,0 +1,166 @@
+import { expect } from 'chai';
+import {
+    resolveBuffer,
+    resetBuffer,
+    bufferTrace,
+    flushBuffer
+} from '../src/buffer';
+import { wrapModule, MemoryExporter, createTestEvent } from '../src';
+
+const recorder = (key) => {
+    const exporter = {
+        batches: [],
+        async export() {
+            throw Error('buffered traces are sent with exportBatch');
+        },
+        async exportBatch(payloads) {
+            exporter.batches.push(payloads);
+        },
+    };
+    if (key) exporter.batchKey = () => key;
+    return exporter;
+};
+
+describe('buffer', () => {
+    let realNow;
+
+    beforeEach(() => {
+        resetBuffer();
+        realNow = Date.now;
+    });
+
+    afterEach(() => {
+        Date.now = realNow;
+    });
+
+    it('flushes once it holds maxTraces traces', async () => {
+        const exporter = recorder();
+        const policy = resolveBuffer({ enabled: true, maxTraces: 2 });
+        await bufferTrace([{ exporter, payload: { id: 1 } }], policy);
+        expect(exporter.batches).to.be.empty;
+        await bufferTrace([{ exporter, payload: { id: 2 } }], policy);
+        expect(exporter.batches).to.deep.equal([[{ id: 1 }, { id: 2 }]]);
+    });
+
+    it('flushes once the oldest trace is older than maxAgeMs', async () => {
+        const exporter = recorder();
+        const policy = resolveBuffer({ enabled: true, maxAgeMs: 1000 });
+        Date.now = () => 5000;
+        await bufferTrace([{ exporter, payload: { id: 1 } }], policy);
+        Date.now = () => 5999;
+        await bufferTrace([{ exporter, payload: { id: 2 } }], policy);
+        expect(exporter.batches).to.be.empty;
+        Date.now = () => 6000;
+        await bufferTrace([{ exporter, payload: { id: 3 } }], policy);
+        expect(exporter.batches).to.deep.equal([[{ id: 1 }, { id: 2 }, { id: 3 }]]);
+    });
+
+    it('never holds more than maxBytes', async () => {
+        const exporter = recorder();
+        const policy = resolveBuffer({ enabled: true, maxBytes: 30 });
+        const large = { note: 'x'.repeat(40) };
+        await bufferTrace([{ exporter, payload: { note: 'first' } }], policy);
+        expect(exporter.batches).to.be.empty;
+        await bufferTrace([{ exporter, payload: { note: 'second' } }], policy);
+        expect(exporter.batches).to.deep.equal([[{ note: 'first' }]]);
+        await bufferTrace([{ exporter, payload: large }], policy);
+        expect(exporter.batches).to.deep.equal([[{ note: 'first' }], [{ note: 'second' }], [large]]);
+        await flushBuffer();
+        expect(exporter.batches).to.have.lengthOf(3);
+    });
+
+    it('sends one batch per batchKey on each flush', async () => {
+        const first = recorder('collector');
+        const second = recorder('collector');
+        const other = recorder();
+        const policy = resolveBuffer({ enabled: true, maxTraces: 2 });
+        await bufferTrace([
+            { exporter: first, payload: 1 },
+            { exporter: other, payload: 'a' },
+        ], policy);
+        await bufferTrace([
+            { exporter: second, payload: 2 },
+            { exporter: other, payload: 'b' },
+        ], policy);
+        expect(first.batches).to.deep.equal([[1, 2]]);
+        expect(second.batches).to.be.empty;
+        expect(other.batches).to.deep.equal([['a', 'b']]);
+    });
+
+    it('holds traces until a later request flushes the buffer', async () => {
+        const memory = new MemoryExporter();
+        const handler = wrapModule({
+            exporter: memory,
+            buffer: { enabled: true, maxTraces: 2 },
+        }, {
+            async fetch() {
+                return new Response('ok');
+            },
+        });
+        const request = async (path) => {
+            const event = createTestEvent(`https://foo.example.com${path}`);
+            await (await handler.fetch(event.request, {}, event)).text();
+            await event.done();
+        };
+
+        await request('/one');
+        expect(memory.payloads).to.be.empty;
+        await request('/two');
+        expect(memory.payloads.map(payload => payload.events[0].resource.metadata['http.request.path']))
+            .to.deep.equal(['/one', '/two']);
+    });
+
+    describe('with the epsagon exporter', () => {
+        let originalLog;
+        let printed;
+
+        beforeEach(() => {
+            originalLog = console.log;
+            printed = [];
+            console.log = (...args) => printed.push(args.join(' '));
+        });
+
+        afterEach(() => {
+            console.log = originalLog;
+        });
+
+        it('sends its traces unbuffered and warns once', async () => {
+            const bodies = [];
+            const otlp = [];
+            const transport = async (request) => {
+                const body = await request.json();
+                (body.resourceSpans ? otlp : bodies).push(body);
+                return new Response('ok');
+            };
+            const config = {
+                token: 'token',
+                exporter: ['epsagon', 'otlp'],
+                otlp: { url: 'https://otlp.example.com/v1/traces' },
+                transport,
+                buffer: { enabled: true, maxTraces: 2 },
+            };
+            const handler = wrapModule(config, {
+                async fetch() {
+                    return new Response('ok');
+                },
+            });
+            wrapModule(config, {});
+            const request = async (path) => {
+                const event = createTestEvent(`https://foo.example.com${path}`);
+                await (await handler.fetch(event.request, {}, event)).text();
+                await event.done();
+            };
+
+            await request('/one');
+            expect(bodies).to.have.lengthOf(1);
+            expect(otlp).to.be.empty;
+            await request('/two');
+            expect(bodies.map(body => body.events[0].resource.metadata['http.request.path']))
+                .to.deep.equal(['/one', '/two']);
+            expect(otlp).to.have.lengthOf(1);
+            expect(otlp[0].resourceSpans).to.have.lengthOf(2);
+            expect(printed.filter(line => line.startsWith('warning in Epsagon buffer')))
+                .to.have.lengthOf(1);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import { MemoryExporter } from '../src';
+import runFetch from './helpers';
+
+describe('body capture', () => {
+    let memory;
+    let originalFetch;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async () => new Response(JSON.stringify({ users: ['ann'] }), {
+            headers: { 'content-type': 'application/json' },
+        });
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    const run = async (capture, fetch, init) => {
+        const text = await runFetch({ exporter: memory, capture }, fetch, {
+            url: 'https://foo.example.com/api',
+            init,
+        });
+        const [, runner, ...children] = memory.last().events;
+        return {
+            text,
+            response: runner.resource.metadata['cloudflare.return_value'],
+            request: runner.resource.metadata['cloudflare.requestContext'].body,
+            children,
+        };
+    };
+
+    it('captures response bodies without consuming them', async () => {
+        const result = await run({}, async (request, env, ctx) => {
+            const upstream = await ctx.tracer.fetch('https://api.example.com/users');
+            const { users } = await upstream.json();
+            return new Response(`hello ${users[0]}`);
+        });
+        expect(result.text).to.equal('hello ann');
+        expect(result.response).to.equal('hello ann');
+        expect(result.children[0].resource.metadata['http.response.body'])
+            .to.deep.equal({ users: ['ann'] });
+    });
+
+    it('captures request bodies when enabled', async () => {
+        const echo = async request => new Response(await request.text());
+        const init = {
+            method: 'POST',
+            body: '{"name":"ann"}',
+            headers: { 'content-type': 'application/json' },
+        };
+        const withoutRequests = await run({}, echo, init);
+        const withRequests = await run({ requestBody: true }, echo, init);
+        expect(withoutRequests.request).to.be.undefined;
+        expect(withRequests.request).to.deep.equal({ name: 'ann' });
+        expect(withRequests.text).to.equal('{"name":"ann"}');
+    });
+
+    it('truncates bodies longer than maxBodySize', async () => {
+        const result = await run({ maxBodySize: 5 }, async () => new Response('0123456789'));
+        expect(result.text).to.equal('0123456789');
+        expect(result.response).to.equal('01234...[truncated]');
+    });
+
+    it('skips other content types and excluded routes', async () => {
+        const html = await run({}, async () => new Response('<p>hi</p>', {
+            headers: { 'content-type': 'text/html' },
+        }));
+        const excluded = await run({ exclude: ['/api'] }, async () => new Response('secret'));
+        expect(html.response).to.be.undefined;
+        expect(excluded.response).to.be.undefined;
+    });
+
+    it('treats failing exclude functions as excluded routes', async () => {
+        const originalLog = console.log;
+        const printed = [];
+        console.log = (...args) => printed.push(args);
+        let result;
+        try {
+            result = await run({
+                exclude: [() => {
+                    throw Error('boom');
+                }],
+            }, async () => new Response('served'));
+        } finally {
+            console.log = originalLog;
+        }
+        expect(result.text).to.equal('served');
+        expect(result.response).to.be.undefined;
+        expect(printed[0][0]).to.equal('error in Epsagon capture exclude > ');
+    });
+});
@@ -0,0 +1,61 @@
+import { expect } from 'chai';
+import runFetch from './helpers';
+
+describe('debug mode', () => {
+    let logs;
+    let originalLog;
+
+    beforeEach(() => {
+        logs = [];
+        originalLog = console.log;
+        console.log = (...args) => logs.push(args.map(String).join(' '));
+    });
+
+    afterEach(() => {
+        console.log = originalLog;
+    });
+
+    it('builds the payload without sending it in dry run', async () => {
+        let sent = 0;
+        const transport = async () => {
+            sent += 1;
+            return new Response('ok');
+        };
+        await runFetch({ token: 'token', dryRun: true, transport });
+        expect(sent).to.equal(0);
+        expect(logs).to.be.empty;
+    });
+
+    it('logs the payload and its problems', async () => {
+        await runFetch({ dryRun: true, debug: true });
+        const payload = logs.find(line => line.startsWith('Epsagon debug > payload {'));
+        expect(JSON.parse(payload.slice('Epsagon debug > payload '.length)).events).to.have.lengthOf(2);
+        expect(logs).to.include('Epsagon debug > payload problems token is not set');
+        expect(logs).to.include('Epsagon debug > dry run, trace not sent');
+    });
+
+    it('sends the trace with the injected transport', async () => {
+        const bodies = [];
+        const transport = async (request) => {
+            bodies.push(await request.json());
+            return new Response('ok');
+        };
+        await runFetch({ token: 'token', transport });
+        expect(bodies).to.have.lengthOf(1);
+        expect(bodies[0].token).to.equal('token');
+    });
+
+    it('logs send failures', async () => {
+        const transport = async () => new Response('', { status: 503 });
+        await runFetch({
+            token: 'token',
+            debug: true,
+            transport,
+            sendRetries: 1,
+            retryBackoff: 0,
+        });
+        expect(logs.filter(line => line.includes('failed 503'))).to.have.lengthOf(2);
+        expect(logs.some(line => line.startsWith('error in Epsagon >  Error: Collector responded with status 503')))
+            .to.be.true;
+    });
+});
@@ -0,0 +1,139 @@
+import { expect } from 'chai';
+import { wrapDurableObject, MemoryExporter, createTestEvent } from '../src';
+import runFetch from './helpers';
+
+describe('durable objects', () => {
+    let memory;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+    });
+
+    const run = async (fetch) => {
+        await runFetch({ exporter: memory }, fetch);
+        return memory.last();
+    };
+
+    const objectId = name => ({ name, toString: () => `id-${name}` });
+
+    /**
+     * Durable Object used by the tests.
+     */
+    class Room {
+        constructor(state) {
+            this.state = state;
+        }
+
+        async fetch(request) {
+            return new Response(`${this.state.id.name} ${new URL(request.url).pathname}`);
+        }
+
+        async alarm() {
+            this.rang = true;
+        }
+    }
+
+    describe('wrapDurableObjectNamespace', () => {
+        it('records stub requests with the trace context', async () => {
+            let received;
+            const namespace = {
+                idFromName: objectId,
+                get: id => ({
+                    id,
+                    fetch: async (request) => {
+                        received = request;
+                        return new Response('ok', { status: 201 });
+                    },
+                }),
+            };
+            const { events } = await run(async (request, env, ctx) => {
+                const rooms = ctx.tracer.wrapDurableObjectNamespace(namespace, 'ROOMS');
+                const response = await rooms.get(rooms.idFromName('lobby'))
+                    .fetch('https://room/messages', { method: 'POST' });
+                return new Response(await response.text());
+            });
+
+            const object = events.find(item => item.resource.type === 'cloudflare_durable_object');
+            expect(object.resource.name).to.equal('ROOMS');
+            expect(object.resource.operation).to.equal('POST');
+            expect(object.resource.metadata['cloudflare.durable_object.id']).to.equal('id-lobby');
+            expect(object.resource.metadata['cloudflare.durable_object.name']).to.equal('lobby');
+            expect(object.resource.metadata['http.response.status_code']).to.equal(201);
+            expect(received.headers.get('traceparent'))
+                .to.include(object.resource.metadata['cloudflare.span_id']);
+        });
+
+        it('records stub requests that throw synchronously', async () => {
+            const namespace = {
+                get: id => ({
+                    id,
+                    fetch() {
+                        throw new TypeError('stub closed');
+                    },
+                }),
+            };
+            const { events } = await run(async (request, env, ctx) => {
+                const stub = ctx.tracer.wrapDurableObjectNamespace(namespace, 'COUNTER').get('abc');
+                const error = await stub.fetch('https://counter/increment').catch(reason => reason);
+                return new Response(error.message);
+            });
+
+            const object = events.find(item => item.resource.type === 'cloudflare_durable_object');
+            expect(object.error_code).to.equal(2);
+            expect(object.exception.message).to.equal('stub closed');
+        });
+    });
+
+    describe('wrapDurableObject', () => {
+        const create = (name) => {
+            const TracedRoom = wrapDurableObject({ exporter: memory }, Room);
+            const state = Object.assign(createTestEvent('https://room/'), { id: objectId(name) });
+            return { room: new TracedRoom(state, {}), state };
+        };
+
+        it('traces requests without a host header', async () => {
+            const { room, state } = create('lobby');
+            const response = await room.fetch(new Request('https://room/messages'));
+            expect(await response.text()).to.equal('lobby /messages');
+            await state.done();
+
+            const [trigger, runner] = memory.last().events;
+            expect(trigger.resource.name).to.equal('room');
+            expect(runner.resource.name).to.equal('Room');
+            expect(runner.resource.type).to.equal('cloudflare_durable_object');
+            expect(runner.resource.metadata['cloudflare.durable_object.id']).to.equal('id-lobby');
+            expect(runner.resource.metadata['cloudflare.durable_object.name']).to.equal('lobby');
+        });
+
+        it('links requests from wrapped stubs to the caller trace', async () => {
+            const { room, state } = create('lobby');
+            const namespace = {
+                get: id => ({ id, fetch: request => room.fetch(request) }),
+            };
+            const caller = await run(async (request, env, ctx) => {
+                const rooms = ctx.tracer.wrapDurableObjectNamespace(namespace, 'ROOMS');
+                const response = await rooms.get(objectId('lobby')).fetch('https://room/join');
+                return new Response(await response.text());
+            });
+            await state.done();
+
+            const [callerTrigger, callerRunner] = caller.events;
+            const [, runner] = memory.last().events;
+            expect(callerTrigger.resource.name).to.equal('foo.example.com');
+            expect(runner.resource.metadata['cloudflare.trace_id'])
+                .to.equal(callerRunner.resource.metadata['cloudflare.trace_id']);
+        });
+
+        it('traces alarms', async () => {
+            const { room, state } = create('lobby');
+            await room.alarm();
+            await state.done();
+
+            const [trigger, runner] = memory.last().events;
+            expect(room.rang).to.be.true;
+            expect(trigger.resource.type).to.equal('cloudflare_durable_object_alarm');
+            expect(trigger.resource.name).to.equal('Room');
+            expect(runner.resource.name).to.equal('Room');
+        });
+    });
+});
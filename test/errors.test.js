@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import { MemoryExporter } from '../src';
+import runFetch from './helpers';
+
+describe('global error listeners', () => {
+    let memory;
+    let target;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+        target = new EventTarget();
+        target.listeners = 0;
+        globalThis.addEventListener = (type, listener) => {
+            target.listeners += 1;
+            target.addEventListener(type, listener);
+        };
+        globalThis.removeEventListener = (type, listener) => {
+            target.listeners -= 1;
+            target.removeEventListener(type, listener);
+        };
+    });
+
+    afterEach(() => {
+        delete globalThis.addEventListener;
+        delete globalThis.removeEventListener;
+    });
+
+    const dispatch = (type, fields) => target.dispatchEvent(Object.assign(new Event(type), fields));
+
+    const run = async (config, fetch) => {
+        await runFetch(Object.assign({ exporter: memory }, config), fetch);
+        return memory.last().events;
+    };
+
+    it('records unhandled rejections on the request in flight', async () => {
+        let listening;
+        const [, runner] = await run({}, async () => {
+            listening = target.listeners;
+            dispatch('unhandledrejection', { reason: new RangeError('lost promise') });
+            return new Response('ok');
+        });
+        expect(listening).to.equal(2);
+        expect(target.listeners).to.equal(0);
+        expect(runner.exception.type).to.equal('RangeError');
+        expect(runner.exception.message).to.equal('lost promise');
+        expect(runner.exception.additional_data.source).to.equal('unhandledrejection');
+    });
+
+    it('records error events as handled with handledErrors', async () => {
+        const [, runner] = await run({ handledErrors: true }, async () => {
+            dispatch('error', { error: new TypeError('late failure') });
+            return new Response('ok');
+        });
+        expect(runner.exception.message).to.equal('late failure');
+        expect(runner.exception.additional_data).to.include({ handled: true, source: 'error' });
+    });
+
+    it('does not listen with captureUnhandledErrors disabled', async () => {
+        let listening;
+        const [, runner] = await run({ captureUnhandledErrors: false }, async () => {
+            listening = target.listeners;
+            dispatch('unhandledrejection', { reason: new Error('ignored') });
+            return new Response('ok');
+        });
+        expect(listening).to.equal(0);
+        expect(runner.error_code).to.equal(0);
+    });
+});
@@ -0,0 +1,21 @@
+import { wrapModule, createTestEvent } from '../src';
+
+/**
+ * Run a request through a module worker fetch handler wrapped with the config,
+ * reading the response body as the runtime would and waiting until the trace
+ * is sent.
+ * @param {object} config tracer configuration, the exporter included.
+ * @param {function} fetch the fetch handler, responding `ok` by default.
+ * @param {object} options optional `url` or Request, `init` and `env` of the request.
+ * @returns {Promise} the text of the response.
+ */
+export default async function runFetch(config, fetch, options = {}) {
+    const handler = wrapModule(config, {
+        fetch: fetch || (async () => new Response('ok')),
+    });
+    const event = createTestEvent(options.url || 'https://foo.example.com/', options.init);
+    const response = await handler.fetch(event.request, options.env || {}, event);
+    const text = await response.text();
+    await event.done();
+    return text;
+}
@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { MemoryExporter } from '../src';
+import runFetch from './helpers';
+
+describe('kv', () => {
+    let memory;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+    });
+
+    const run = async (fetch) => {
+        await runFetch({ exporter: memory }, fetch);
+        return memory.last().events.filter(item => item.resource.type === 'cloudflare_kv');
+    };
+
+    const memoryNamespace = (values) => {
+        const store = new Map(Object.entries(values));
+        return {
+            async get(key) {
+                return store.has(key) ? store.get(key) : null;
+            },
+            async put(key, value) {
+                store.set(key, value);
+            },
+            async list() {
+                const keys = Array.from(store.keys()).map(name => ({ name }));
+                return { keys, list_complete: true };
+            },
+            other: () => 'untraced',
+        };
+    };
+
+    it('records operations with their keys, options and results', async () => {
+        const namespace = memoryNamespace({ 'user:1': 'ann' });
+        let other;
+        const [hit, miss, put, list] = await run(async (request, env, ctx) => {
+            const kv = ctx.tracer.wrapKV(namespace, 'USERS');
+            await kv.get('user:1', { cacheTtl: 60 });
+            await kv.get('user:2', 'json');
+            await kv.put('user:2', 'bob', { expirationTtl: 120 });
+            await kv.list({ prefix: 'user:' });
+            other = kv.other();
+            return new Response('ok');
+        });
+
+        expect(other).to.equal('untraced');
+        expect(hit.resource.name).to.equal('USERS');
+        expect(hit.resource.operation).to.equal('get');
+        expect(hit.resource.metadata).to.include({
+            'cloudflare.kv.key': 'user:1',
+            'cloudflare.kv.cache_ttl': 60,
+            'cloudflare.kv.hit': true,
+        });
+        expect(miss.resource.metadata).to.include({
+            'cloudflare.kv.type': 'json',
+            'cloudflare.kv.hit': false,
+        });
+        expect(put.resource.operation).to.equal('put');
+        expect(put.resource.metadata['cloudflare.kv.expiration_ttl']).to.equal(120);
+        expect(list.resource.metadata).to.include({
+            'cloudflare.kv.prefix': 'user:',
+            'cloudflare.kv.keys': 2,
+            'cloudflare.kv.list_complete': true,
+        });
+    });
+
+    it('records failed operations', async () => {
+        const namespace = {
+            async get() {
+                throw new Error('KV unavailable');
+            },
+        };
+        const [kv] = await run(async (request, env, ctx) => {
+            await ctx.tracer.wrapKV(namespace, 'USERS').get('user:1').catch(() => undefined);
+            return new Response('ok');
+        });
+        expect(kv.error_code).to.equal(2);
+        expect(kv.exception.message).to.equal('KV unavailable');
+    });
+
+    it('records operations that throw synchronously', async () => {
+        const namespace = {
+            get() {
+                throw new TypeError('invalid key');
+            },
+        };
+        const [kv] = await run(async (request, env, ctx) => {
+            const error = await ctx.tracer.wrapKV(namespace, 'MY_KV').get('')
+                .catch(reason => reason);
+            return new Response(error.message);
+        });
+        expect(kv.error_code).to.equal(2);
+        expect(kv.exception.message).to.equal('invalid key');
+    });
+});
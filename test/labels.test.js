@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import { MemoryExporter } from '../src';
+import runFetch from './helpers';
+
+describe('request metadata and labels', () => {
+    let memory;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+    });
+
+    const run = async (config, env, fetch, request) => {
+        await runFetch(Object.assign({ exporter: memory }, config), fetch, {
+            url: request || 'https://shop.example.com/',
+            env,
+        });
+        return memory.last().events;
+    };
+
+    const labelsOf = runner => JSON.parse(runner.resource.metadata.labels || '{}');
+
+    describe('request.cf', () => {
+        const withCf = () => {
+            const request = new Request('https://shop.example.com/');
+            request.headers.set('host', 'shop.example.com');
+            Object.defineProperty(request, 'cf', {
+                value: {
+                    colo: 'AMS',
+                    country: 'NL',
+                    asn: 1136,
+                    tlsClientAuth: { certPresented: '0' },
+                    botManagement: { score: 99, verifiedBot: false, ja3Hash: 'abc' },
+                },
+            });
+            return request;
+        };
+
+        it('records the default fields on the trigger', async () => {
+            const [trigger] = await run({}, {}, undefined, withCf());
+            const cf = Object.keys(trigger.resource.metadata)
+                .filter(key => key.startsWith('cloudflare.cf.'));
+            expect(cf).to.have.members([
+                'cloudflare.cf.colo',
+                'cloudflare.cf.country',
+                'cloudflare.cf.asn',
+                'cloudflare.cf.botManagement.score',
+                'cloudflare.cf.botManagement.verifiedBot',
+            ]);
+            expect(trigger.resource.metadata['cloudflare.cf.botManagement.score']).to.equal(99);
+        });
+
+        it('records the configured fields only', async () => {
+            const [trigger] = await run({ cfFields: ['colo', 'botManagement.ja3Hash'] }, {},
+                undefined, withCf());
+            expect(trigger.resource.metadata).to.include({
+                'cloudflare.cf.colo': 'AMS',
+                'cloudflare.cf.botManagement.ja3Hash': 'abc',
+            });
+            expect(trigger.resource.metadata).to.not.have.property('cloudflare.cf.country');
+        });
+    });
+
+    describe('worker labels', () => {
+        it('labels traces with the configured worker name, environment and version', async () => {
+            const [, runner] = await run({
+                workerName: 'shop',
+                environment: 'production',
+                version: '1.2.0',
+                labels: { plan: 'pro' },
+            }, {});
+            expect(runner.resource.name).to.equal('shop');
+            expect(labelsOf(runner)).to.deep.equal({
+                worker_name: 'shop',
+                environment: 'production',
+                version: '1.2.0',
+                plan: 'pro',
+            });
+        });
+
+        it('reads the labels from the environment', async () => {
+            const [, runner] = await run({}, {
+                EPSAGON_WORKER_NAME: 'shop',
+                EPSAGON_ENVIRONMENT: 'staging',
+                CF_VERSION_METADATA: { id: 'version-id' },
+            });
+            expect(labelsOf(runner)).to.deep.equal({
+                worker_name: 'shop',
+                environment: 'staging',
+                version: 'version-id',
+            });
+        });
+
+        it('names the runner after the host without a worker name', async () => {
+            const [, runner] = await run({}, {});
+            expect(runner.resource.name).to.equal('shop-worker');
+            expect(runner.resource.metadata).to.not.have.property('labels');
+        });
+    });
+
+    describe('tracer.label', () => {
+        it('adds valid labels and drops invalid ones', async () => {
+            const results = {};
+            const [, runner] = await run({}, {}, async (request, env, ctx) => {
+                results.string = ctx.tracer.label('customer_id', 'c-1');
+                results.number = ctx.tracer.label('items', 3);
+                results.boolean = ctx.tracer.label('beta', true);
+                results.object = ctx.tracer.label('user', { id: 1 });
+                results.infinite = ctx.tracer.label('ratio', Infinity);
+                results.emptyKey = ctx.tracer.label('', 'value');
+                return new Response('ok');
+            });
+            expect(results).to.deep.equal({
+                string: true,
+                number: true,
+                boolean: true,
+                object: false,
+                infinite: false,
+                emptyKey: false,
+            });
+            expect(labelsOf(runner)).to.deep.equal({ customer_id: 'c-1', items: 3, beta: true });
+        });
+
+        it('drops labels exceeding maxLabelsSize and logs why in debug mode', async () => {
+            const originalLog = console.log;
+            const printed = [];
+            console.log = (...args) => printed.push(args.join(' '));
+            let added;
+            try {
+                const [, runner] = await run({ maxLabelsSize: 30, debug: true }, {},
+                    async (request, env, ctx) => {
+                        added = [
+                            ctx.tracer.label('plan', 'pro'),
+                            ctx.tracer.label('note', 'x'.repeat(30)),
+                        ];
+                        return new Response('ok');
+                    });
+                expect(labelsOf(runner)).to.deep.equal({ plan: 'pro' });
+            } finally {
+                console.log = originalLog;
+            }
+            expect(added).to.deep.equal([true, false]);
+            expect(printed).to.include('Epsagon debug > label note dropped labels exceed 30 characters');
+        });
+
+        it('sends labels as attributes with the OTLP exporter', async () => {
+            memory = new MemoryExporter({ format: 'otlp' });
+            await run({ labels: { plan: 'pro' } }, {});
+            const [root] = memory.last().resourceSpans[0].scopeSpans[0].spans;
+            expect(root.attributes).to.deep.include({
+                key: 'label.plan',
+                value: { stringValue: 'pro' },
+            });
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import { MemoryExporter } from '../src';
+import runFetch from './helpers';
+
+describe('logging', () => {
+    let memory;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+    });
+
+    const run = async (config, fetch) => {
+        await runFetch(Object.assign({ exporter: memory }, config), fetch);
+        return memory.last().events;
+    };
+
+    const entries = event => event.resource.metadata['cloudflare.logs']
+        .map(({ level, message, attributes }) => ({ level, message, attributes }));
+
+    it('records structured entries on the span they were logged on', async () => {
+        const [, runner, span] = await run({}, async (request, env, ctx) => {
+            ctx.tracer.logger.info('cache miss', { key: 'user:1' });
+            ctx.tracer.log('loaded');
+            await ctx.tracer.trace('render', (child) => {
+                child.logger.error('template missing');
+            });
+            return new Response('ok');
+        });
+
+        const [first] = runner.resource.metadata['cloudflare.logs'];
+        expect(first.timestamp).to.be.a('string');
+        expect(first.span_id).to.equal(runner.resource.metadata['cloudflare.span_id']);
+        expect(entries(runner)).to.deep.equal([
+            { level: 'info', message: 'cache miss', attributes: { key: 'user:1' } },
+            { level: 'info', message: 'loaded', attributes: undefined },
+        ]);
+        expect(entries(span)).to.deep.equal([
+            { level: 'error', message: 'template missing', attributes: undefined },
+        ]);
+    });
+
+    it('drops entries below logLevel', async () => {
+        const [, runner] = await run({ logLevel: 'warn' }, async (request, env, ctx) => {
+            ctx.tracer.logger.debug('details');
+            ctx.tracer.logger.info('progress');
+            ctx.tracer.logger.warn('slow');
+            return new Response('ok');
+        });
+        expect(entries(runner).map(entry => entry.message)).to.deep.equal(['slow']);
+    });
+
+    describe('captureConsole', () => {
+        let originalLog;
+        let originalWarn;
+        let printed;
+
+        beforeEach(() => {
+            originalLog = console.log;
+            originalWarn = console.warn;
+            printed = [];
+            console.log = (...args) => printed.push(args);
+            console.warn = (...args) => printed.push(args);
+        });
+
+        afterEach(() => {
+            console.log = originalLog;
+            console.warn = originalWarn;
+        });
+
+        it('records console output while the request is in flight', async () => {
+            const { log } = console;
+            const [, runner] = await run({ captureConsole: true }, async () => {
+                console.log('user', { id: 1 });
+                console.warn(new Error('slow'));
+                return new Response('ok');
+            });
+
+            const [info, warn] = entries(runner);
+            expect(info).to.deep.equal({
+                level: 'info',
+                message: 'user {"id":1}',
+                attributes: { source: 'console' },
+            });
+            expect(warn.level).to.equal('warn');
+            expect(warn.message).to.include('Error: slow');
+            expect(printed).to.have.lengthOf(2);
+            expect(console.log).to.equal(log);
+        });
+
+        it('leaves the console alone when disabled', async () => {
+            const [, runner] = await run({}, async () => {
+                console.log('quiet');
+                return new Response('ok');
+            });
+            expect(entries(runner)).to.be.empty;
+            expect(printed).to.deep.equal([['quiet']]);
+        });
+    });
+});
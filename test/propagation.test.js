@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import {
+    parseTraceparent,
+    parseEpsagonTraceId,
+    extractTraceContext,
+    injectTraceContext
+} from '../src/propagation';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+
+describe('propagation', () => {
+    describe('parseTraceparent', () => {
+        it('parses a sampled traceparent', () => {
+            expect(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`)).to.deep.equal({
+                traceId: TRACE_ID,
+                parentSpanId: SPAN_ID,
+                sampled: true,
+            });
+        });
+
+        it('reads only the sampled bit of the flags', () => {
+            expect(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-03`).sampled).to.be.true;
+            expect(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-02`).sampled).to.be.false;
+        });
+
+        it('rejects invalid values', () => {
+            expect(parseTraceparent('garbage')).to.be.null;
+            expect(parseTraceparent(`ff-${TRACE_ID}-${SPAN_ID}-01`)).to.be.null;
+            expect(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`)).to.be.null;
+        });
+    });
+
+    describe('parseEpsagonTraceId', () => {
+        it('parses the Epsagon trace header', () => {
+            const value = `${TRACE_ID}:${SPAN_ID}::0`;
+            expect(parseEpsagonTraceId(value)).to.deep.equal({
+                traceId: TRACE_ID,
+                parentSpanId: SPAN_ID,
+                sampled: false,
+                epsagonTraceId: value,
+            });
+        });
+    });
+
+    describe('extractTraceContext', () => {
+        it('prefers traceparent and keeps the matching Epsagon header and tracestate', () => {
+            const headers = new Headers({
+                traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+                'epsagon-trace-id': `${TRACE_ID}:${SPAN_ID}::1`,
+                tracestate: 'vendor=value',
+            });
+            const context = extractTraceContext(headers);
+            expect(context.parentSpanId).to.equal(SPAN_ID);
+            expect(context.epsagonTraceId).to.equal(`${TRACE_ID}:${SPAN_ID}::1`);
+            expect(context.traceState).to.equal('vendor=value');
+        });
+
+        it('returns undefined without trace headers', () => {
+            expect(extractTraceContext(new Headers())).to.be.undefined;
+        });
+    });
+
+    describe('injectTraceContext', () => {
+        it('sets the traceparent and Epsagon headers', () => {
+            const headers = new Headers();
+            injectTraceContext(headers, {
+                traceId: TRACE_ID,
+                spanId: SPAN_ID,
+                parentSpanId: 'b7ad6b7169203331',
+                sampled: false,
+            });
+            expect(headers.get('traceparent')).to.equal(`00-${TRACE_ID}-${SPAN_ID}-00`);
+            expect(headers.get('epsagon-trace-id')).to.equal(`${TRACE_ID}:${SPAN_ID}:b7ad6b7169203331:0`);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import { wrapModule, MemoryExporter, createTestEvent } from '../src';
+
+describe('queues', () => {
+    let memory;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+    });
+
+    const queueEvents = () => memory.last().events
+        .filter(item => item.origin === 'cloudflare_queue');
+
+    const produce = async (config, send) => {
+        const sent = [];
+        const queue = {
+            send: async (body, options) => {
+                sent.push({ body, options });
+            },
+            sendBatch: async (messages) => {
+                sent.push(...messages);
+            },
+        };
+        const handler = wrapModule(Object.assign({ exporter: memory }, config), {
+            async fetch(request, env, ctx) {
+                await send(ctx.tracer.wrapQueue(queue, 'jobs'));
+                return new Response('sent');
+            },
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        const response = await handler.fetch(event.request, {}, event);
+        await response.text();
+        await event.done();
+        return sent;
+    };
+
+    const message = (id, body) => ({
+        id,
+        body,
+        timestamp: new Date(0),
+        attempts: 1,
+        ack() {},
+        retry() {},
+    });
+
+    const consume = async (config, messages, queue) => {
+        const batch = {
+            queue: 'jobs',
+            messages,
+            ackAll() {},
+            retryAll() {},
+        };
+        const handler = wrapModule(Object.assign({ exporter: memory }, config), { queue });
+        const ctx = createTestEvent('https://foo.example.com/');
+        const error = await handler.queue(batch, {}, ctx).catch(reason => reason);
+        await ctx.done();
+        return error;
+    };
+
+    describe('producer', () => {
+        it('sends message bodies unchanged by default', async () => {
+            const sent = await produce({ sendTraceContext: true }, async (queue) => {
+                await queue.send({ id: 1 });
+                await queue.sendBatch([{ body: 'two' }]);
+            });
+            expect(sent.map(item => item.body)).to.deep.equal([{ id: 1 }, 'two']);
+
+            const [send, sendBatch] = queueEvents();
+            expect(send.resource.operation).to.equal('send');
+            expect(send.resource.metadata['cloudflare.queue.messages']).to.equal(1);
+            expect(sendBatch.resource.operation).to.equal('sendBatch');
+        });
+
+        it('embeds the trace context when enabled', async () => {
+            const sent = await produce({ embedQueueTraceContext: true }, async (queue) => {
+                await queue.send({ id: 1 });
+                await queue.sendBatch([{ body: 'raw', contentType: 'text' }, { body: 'two' }]);
+            });
+            const [send] = queueEvents();
+            expect(sent[0].body.body).to.deep.equal({ id: 1 });
+            expect(sent[0].body).to.have.property('__epsagon_trace_context')
+                .that.includes({ 'epsagon-trace-id': send.resource.metadata.http_trace_id });
+            expect(sent[1].body).to.equal('raw');
+            expect(sent[2].body.body).to.equal('two');
+        });
+
+        it('records sends that throw synchronously', async () => {
+            const queue = {
+                send() {
+                    throw new TypeError('message too large');
+                },
+            };
+            const handler = wrapModule({ exporter: memory }, {
+                async fetch(request, env, ctx) {
+                    const error = await ctx.tracer.wrapQueue(queue, 'jobs').send({ id: 1 })
+                        .catch(reason => reason);
+                    return new Response(error.message);
+                },
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            const response = await handler.fetch(event.request, {}, event);
+            await response.text();
+            await event.done();
+
+            const [send] = queueEvents();
+            expect(send.error_code).to.equal(2);
+            expect(send.exception.message).to.equal('message too large');
+        });
+    });
+
+    describe('consumer', () => {
+        it('unwraps embedded trace context and links to the producer', async () => {
+            const sent = await produce({ embedQueueTraceContext: true }, queue => queue.send('job'));
+            const [send] = queueEvents();
+            const producerRunner = memory.last().events[1];
+
+            let received;
+            await consume({ acceptTraceContext: true }, [message('m1', sent[0].body)], (batch) => {
+                received = batch.messages[0].body;
+            });
+            const [trigger, runner] = memory.last().events;
+            const [consumed] = queueEvents();
+            expect(received).to.equal('job');
+            expect(trigger.resource.type).to.equal('cloudflare_queue');
+            expect(trigger.resource.metadata['cloudflare.queue.batch_size']).to.equal(1);
+            expect(consumed.resource.metadata['cloudflare.queue.producer_trace_id'])
+                .to.equal(send.resource.metadata.http_trace_id);
+            expect(runner.resource.metadata['cloudflare.trace_id'])
+                .to.equal(producerRunner.resource.metadata['cloudflare.trace_id']);
+        });
+
+        it('records explicit and implicit acknowledgements', async () => {
+            await consume({}, [message('m1', 1), message('m2', 2), message('m3', 3)], (batch) => {
+                batch.messages[0].ack();
+                batch.messages[1].retry();
+            });
+            const outcomes = queueEvents()
+                .map(item => item.resource.metadata['cloudflare.queue.outcome']);
+            expect(outcomes).to.deep.equal(['ack', 'retry', 'implicit_ack']);
+        });
+
+        it('retries unsettled messages when the handler fails', async () => {
+            const error = await consume({}, [message('m1', 1), message('m2', 2)], async (batch) => {
+                batch.messages[0].ack();
+                throw new Error('consumer failed');
+            });
+            const outcomes = queueEvents()
+                .map(item => item.resource.metadata['cloudflare.queue.outcome']);
+            expect(error.message).to.equal('consumer failed');
+            expect(outcomes).to.deep.equal(['ack', 'implicit_retry']);
+            expect(memory.last().events[1].exception.message).to.equal('consumer failed');
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import { getSampleRate, isSampled } from '../src/sampling';
+import { MemoryExporter } from '../src';
+import runFetch from './helpers';
+
+describe('sampling', () => {
+    describe('getSampleRate', () => {
+        it('accepts a fixed rate or a sampler function', () => {
+            expect(getSampleRate(10)).to.equal(10);
+            expect(getSampleRate(request => (request.url.includes('health') ? 0 : 1), { url: '/health' }))
+                .to.equal(0);
+        });
+
+        it('falls back to 1 for invalid rates and failing samplers', () => {
+            const { log } = console;
+            console.log = () => {};
+            try {
+                expect(getSampleRate(-1)).to.equal(1);
+                expect(getSampleRate('often')).to.equal(1);
+                expect(getSampleRate(() => { throw Error('boom'); })).to.equal(1);
+            } finally {
+                console.log = log;
+            }
+        });
+    });
+
+    describe('isSampled', () => {
+        it('keeps every trace at rate 1 and none at rate 0', () => {
+            expect(isSampled('ffffffffffffffffffffffffffffffff', 1)).to.be.true;
+            expect(isSampled('00000000000000000000000000000000', 0)).to.be.false;
+        });
+
+        it('decides from the end of the trace ID', () => {
+            expect(isSampled('ffffffffffffffffffffffff00000001', 4)).to.be.true;
+            expect(isSampled('00000000000000000000000080000000', 4)).to.be.false;
+        });
+    });
+
+    describe('alwaysSampleErrors', () => {
+        const run = async (config, fetch) => {
+            const memory = new MemoryExporter();
+            await runFetch(Object.assign({
+                exporter: memory,
+                sampleRates: 0,
+                alwaysSampleErrors: true,
+            }, config), fetch);
+            return memory.payloads;
+        };
+
+        it('keeps traces with responses classified as errors', async () => {
+            const serverError = await run({}, async () => new Response('', { status: 503 }));
+            const notFound = await run({ statusRules: { 404: 'error' } },
+                async () => new Response('', { status: 404 }));
+            const ignored = await run({ statusRules: { '5xx': 'ok' } },
+                async () => new Response('', { status: 503 }));
+            expect(serverError).to.have.lengthOf(1);
+            expect(notFound).to.have.lengthOf(1);
+            expect(ignored).to.be.empty;
+        });
+
+        it('keeps traces with an error status', async () => {
+            const payloads = await run({}, async (request, env, ctx) => {
+                ctx.tracer.setStatus('error', 'degraded');
+                return new Response('ok');
+            });
+            expect(payloads).to.have.lengthOf(1);
+        });
+    });
+});
@@ -0,0 +1,150 @@
+import { expect } from 'chai';
+import { resolveScrub, scrubEvents } from '../src/scrub';
+import { wrapModule, MemoryExporter, createTestEvent } from '../src';
+
+const SECRET_URL = 'https://api.example.com/users?token=secret&contact=ann@example.com';
+
+describe('scrubEvents', () => {
+    it('returns the events untouched without rules', () => {
+        const events = [{ password: 'secret' }];
+        expect(scrubEvents(events, resolveScrub({}))).to.deep.equal(events);
+    });
+
+    it('redacts keys, query parameters and patterns', () => {
+        const rules = resolveScrub({
+            keys: ['password', /token/i],
+            queryParams: ['sig'],
+            patterns: ['email'],
+        });
+        const [event] = scrubEvents([{
+            trace_id: 'a@b.co',
+            request: {
+                url: 'https://api.example.com/x?sig=abc&q=ok',
+                body: { password: 'p', accessToken: 't', note: 'mail a@b.com' },
+            },
+        }], rules);
+        expect(event.trace_id).to.equal('a@b.co');
+        expect(event.request.url).to.equal('https://api.example.com/x?sig=REDACTED&q=ok');
+        expect(event.request.body).to.deep.equal({
+            password: 'REDACTED',
+            accessToken: 'REDACTED',
+            note: 'mail REDACTED',
+        });
+    });
+
+    it('leaves span fields untouched', () => {
+        const rules = resolveScrub({ keys: ['name', 'timestamp', 'status', 'key', 'user'] });
+        const [root, child] = scrubEvents([{
+            name: 'request',
+            timestamp: 1000,
+            duration_ms: 5,
+            status: { code: 'ok' },
+            customer: { user: 'ann', plan: 'pro' },
+            response: { status: 200, headers: { 'set-cookie': 'a', status: 'x' } },
+            logs: [{ timestamp: 'now', message: 'hi', attributes: { user: 'ann' } }],
+        }, {
+            name: 'MY_KV.get',
+            timestamp: 1001,
+            kv: { namespace: 'MY_KV', key: 'k' },
+            attributes: { name: 'template', user: 'ann' },
+        }], rules, { customer: {} });
+        expect(root.name).to.equal('request');
+        expect(root.timestamp).to.equal(1000);
+        expect(root.status).to.deep.equal({ code: 'ok' });
+        expect(root.customer).to.deep.equal({ user: 'REDACTED', plan: 'pro' });
+        expect(root.response).to.deep.equal({
+            status: 200,
+            headers: { 'set-cookie': 'a', status: 'REDACTED' },
+        });
+        expect(root.logs).to.deep.equal([
+            { timestamp: 'now', message: 'hi', attributes: { user: 'REDACTED' } },
+        ]);
+        expect(child.name).to.equal('MY_KV.get');
+        expect(child.timestamp).to.equal(1001);
+        expect(child.kv).to.deep.equal({ namespace: 'MY_KV', key: 'k' });
+        expect(child.attributes).to.deep.equal({ name: 'REDACTED', user: 'REDACTED' });
+    });
+
+    it('keeps exported traces intact when keys match span fields', async () => {
+        const memory = new MemoryExporter();
+        const handler = wrapModule({ exporter: memory, scrub: { keys: ['name', 'timestamp'] } }, {
+            async fetch(request, env, ctx) {
+                await ctx.tracer.trace('render', span => span.setAttribute('name', 'home'));
+                return new Response('ok');
+            },
+        });
+        const event = createTestEvent('https://foo.example.com/?name=ann');
+        await (await handler.fetch(event.request, {}, event)).text();
+        await event.done();
+
+        const [, runner, span] = memory.last().events;
+        expect(runner.start_time).to.be.a('number');
+        expect(runner.resource.metadata['cloudflare.requestContext'].url)
+            .to.equal('https://foo.example.com/?name=REDACTED');
+        expect(span.resource.name).to.equal('render');
+        expect(span.start_time).to.be.a('number');
+        expect(span.resource.metadata.name).to.equal('REDACTED');
+    });
+
+    it('masks span names, errors, statuses and identifiers without redacting them', () => {
+        const rules = resolveScrub({
+            keys: ['name', 'message', 'key'],
+            queryParams: ['token'],
+            patterns: ['email'],
+        });
+        const [fetchSpan, kvSpan] = scrubEvents([{
+            name: SECRET_URL,
+            exception: true,
+            message: 'no user ann@example.com',
+            stack: 'Error: no user ann@example.com\n    at handler',
+            status: { code: 'error', message: 'no user ann@example.com' },
+        }, {
+            name: 'USERS.get',
+            kv: { namespace: 'USERS', operation: 'get', key: 'user:ann@example.com' },
+            durable_object: { namespace: 'ROOMS', id: 'abc', name: 'ann@example.com' },
+        }], rules);
+        expect(fetchSpan.name)
+            .to.equal('https://api.example.com/users?token=REDACTED&contact=REDACTED');
+        expect(fetchSpan.message).to.equal('no user REDACTED');
+        expect(fetchSpan.stack).to.equal('Error: no user REDACTED\n    at handler');
+        expect(fetchSpan.status).to.deep.equal({ code: 'error', message: 'no user REDACTED' });
+        expect(kvSpan.name).to.equal('USERS.get');
+        expect(kvSpan.kv).to.deep.equal({
+            namespace: 'USERS',
+            operation: 'get',
+            key: 'user:REDACTED',
+        });
+        expect(kvSpan.durable_object.name).to.equal('REDACTED');
+    });
+
+    it('scrubs the URL of fetch spans exported through OTLP', async () => {
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async () => new Response('ok');
+        const memory = new MemoryExporter({ format: 'otlp' });
+        const handler = wrapModule({
+            exporter: memory,
+            scrub: { queryParams: ['token'], patterns: ['email'] },
+        }, {
+            async fetch(request, env, ctx) {
+                await ctx.tracer.fetch(SECRET_URL);
+                return new Response('ok');
+            },
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        try {
+            await (await handler.fetch(event.request, {}, event)).text();
+            await event.done();
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+
+        const payload = memory.last();
+        const [, span] = payload.resourceSpans[0].scopeSpans[0].spans;
+        expect(span.name).to.equal('https://api.example.com/users?token=REDACTED&contact=REDACTED');
+        expect(JSON.stringify(payload)).to.not.include('secret').and.not.include('ann@');
+    });
+
+    it('rejects unknown built-in patterns', () => {
+        expect(() => resolveScrub({ patterns: ['ssn'] })).to.throw('Unknown scrubbing pattern: ssn');
+    });
+});
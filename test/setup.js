@@ -0,0 +1,4 @@
+require('@babel/register')({
+    babelrc: false,
+    presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+});
@@ -0,0 +1,28 @@
+import { expect } from 'chai';
+import { resolveStatusRules, classifyResponse } from '../src/status';
+
+const span = (rules, isError) => ({ config: { statusRules: resolveStatusRules(rules), isError } });
+
+describe('status rules', () => {
+    it('treats server errors as errors by default', () => {
+        expect(classifyResponse({ status: 503 }, span())).to.equal('error');
+        expect(classifyResponse({ status: 404 }, span())).to.be.undefined;
+    });
+
+    it('applies status codes before status classes', () => {
+        const rules = { '4xx': 'warning', 404: 'ok' };
+        expect(classifyResponse({ status: 403 }, span(rules))).to.equal('warning');
+        expect(classifyResponse({ status: 404 }, span(rules))).to.be.undefined;
+    });
+
+    it('asks the isError callback first', () => {
+        const isError = response => (response.status === 418 ? true : undefined);
+        expect(classifyResponse({ status: 418 }, span({}, isError))).to.equal('error');
+        expect(classifyResponse({ status: 500 }, span({}, () => false))).to.be.undefined;
+        expect(classifyResponse({ status: 500 }, span({}, isError))).to.equal('error');
+    });
+
+    it('rejects invalid levels', () => {
+        expect(() => resolveStatusRules({ '5xx': 'fatal' })).to.throw('Invalid level of status rule 5xx: fatal');
+    });
+});
@@ -0,0 +1,130 @@
+import { expect } from 'chai';
+import { epsagon, MemoryExporter, createTestEvent } from '../src';
+
+const delay = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/**
+ * Build a body stream sending each chunk after a delay.
+ */
+const slowBody = (chunks, milliseconds) => {
+    const encoder = new TextEncoder();
+    const pending = [...chunks];
+    return new ReadableStream({
+        async pull(controller) {
+            await delay(milliseconds);
+            if (pending.length) {
+                controller.enqueue(encoder.encode(pending.shift()));
+            } else {
+                controller.close();
+            }
+        },
+    });
+};
+
+describe('response streaming', () => {
+    let memory;
+    let originalFetch;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async () => new Response(slowBody(['ab', 'cd'], 10));
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('finishes the runner once the streamed body is sent', async () => {
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(new Response(slowBody(['hello ', 'world'], 20)));
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        listener(event);
+        const response = await event.done();
+
+        expect(await response.text()).to.equal('hello world');
+        const { metadata } = memory.last().events[1].resource;
+        expect(metadata['cloudflare.response.bytes']).to.equal(11);
+        expect(metadata['cloudflare.response.body_outcome']).to.equal('complete');
+        expect(metadata['cloudflare.time_to_last_byte_ms'])
+            .to.be.at.least(metadata['cloudflare.time_to_headers_ms'] + 40);
+        expect(memory.last().events[1].duration).to.be.at.least(0.04);
+    });
+
+    it('measures the body of subrequests', async () => {
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(event.request.tracer.fetch('https://api.example.com/')
+                .then(async response => new Response(await response.text())));
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        listener(event);
+        const response = await event.done();
+
+        expect(await response.text()).to.equal('abcd');
+        const { metadata } = memory.last().events[2].resource;
+        expect(metadata['http.response.bytes']).to.equal(4);
+        expect(metadata['http.response.body_outcome']).to.equal('complete');
+        expect(metadata['http.time_to_last_byte_ms']).to.be.above(metadata['http.time_to_headers_ms']);
+    });
+
+    it('passes subrequest bodies through to the response', async () => {
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(event.request.tracer.fetch('https://api.example.com/'));
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        listener(event);
+        const response = await event.done();
+
+        expect(await response.text()).to.equal('abcd');
+        const [, runner, http] = memory.last().events;
+        expect(runner.resource.metadata['cloudflare.response.bytes']).to.equal(4);
+        expect(http.resource.metadata['http.response.body_outcome']).to.equal('complete');
+    });
+
+    it('reports cancelled bodies', async () => {
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(event.request.tracer.fetch('https://api.example.com/')
+                .then(async (response) => {
+                    const reader = response.body.getReader();
+                    await reader.read();
+                    await reader.cancel();
+                    return new Response('partial');
+                }));
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        listener(event);
+        await event.done();
+
+        const { metadata } = memory.last().events[2].resource;
+        expect(metadata['http.response.body_outcome']).to.equal('cancelled');
+        expect(metadata['http.response.bytes']).to.equal(2);
+    });
+
+    it('reports subrequest bodies left unread as incomplete', async () => {
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(event.request.tracer.fetch('https://api.example.com/')
+                .then(() => new Response('ignored upstream')));
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        listener(event);
+        await event.done();
+
+        const { metadata } = memory.last().events[2].resource;
+        expect(metadata['http.response.body_outcome']).to.equal('incomplete');
+    });
+
+    it('keeps responses without a body untouched', async () => {
+        const original = new Response(null, { status: 204 });
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(original);
+        });
+        const event = createTestEvent('https://foo.example.com/');
+        listener(event);
+        expect(await event.done()).to.equal(original);
+
+        const { metadata } = memory.last().events[1].resource;
+        expect(metadata['cloudflare.response.bytes']).to.equal(0);
+        expect(metadata['cloudflare.time_to_last_byte_ms']).to.equal(metadata['cloudflare.time_to_headers_ms']);
+    });
+});
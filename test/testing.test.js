@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+import { epsagon, MemoryExporter, createTestEvent } from '../src';
+
+describe('createTestEvent', () => {
+    it('builds a fetch event with a host header', () => {
+        const event = createTestEvent('https://foo.example.com/path');
+        expect(event.type).to.equal('fetch');
+        expect(event.request.url).to.equal('https://foo.example.com/path');
+        expect(event.request.headers.get('host')).to.equal('foo.example.com');
+    });
+
+    it('resolves done() with the response once waitUntil work is settled', async () => {
+        const event = createTestEvent('https://foo.example.com/');
+        let finished = false;
+        event.waitUntil(new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+            finished = true;
+        }));
+        event.respondWith(new Response('hi'));
+        const response = await event.done();
+        expect(await response.text()).to.equal('hi');
+        expect(finished).to.be.true;
+    });
+
+    it('rejects a second respondWith', () => {
+        const event = createTestEvent('https://foo.example.com/');
+        event.respondWith(new Response('hi'));
+        expect(() => event.respondWith(new Response('again'))).to.throw('respondWith was already called');
+    });
+});
+
+describe('MemoryExporter', () => {
+    it('keeps the Epsagon payload of a traced listener', async () => {
+        const memory = new MemoryExporter();
+        const listener = epsagon({ token: 'token', app_name: 'app', exporter: memory }, (event) => {
+            event.respondWith(new Response('hi'));
+        });
+        const event = createTestEvent('https://foo.example.com/path');
+        listener(event);
+        await event.done();
+
+        expect(memory.payloads).to.have.lengthOf(1);
+        const trace = memory.last();
+        expect(trace.token).to.equal('token');
+        expect(trace.app_name).to.equal('app');
+        const [trigger, runner] = trace.events;
+        expect(trigger.origin).to.equal('trigger');
+        expect(trigger.resource.name).to.equal('foo.example.com');
+        expect(trigger.resource.metadata['http.request.path']).to.equal('/path');
+        expect(runner.origin).to.equal('runner');
+        expect(runner.resource.name).to.equal('foo-worker');
+        expect(runner.resource.metadata['cloudflare.return_value']).to.equal('hi');
+    });
+
+    it('formats payloads in OTLP', async () => {
+        const memory = new MemoryExporter({ format: 'otlp' });
+        const listener = epsagon({ exporter: memory }, (event) => {
+            event.respondWith(new Response('hi'));
+        });
+        const event = createTestEvent('https://foo.example.com/path');
+        listener(event);
+        await event.done();
+
+        const [span] = memory.last().resourceSpans[0].scopeSpans[0].spans;
+        expect(span.name).to.equal('GET /path');
+    });
+
+    it('forgets payloads on reset', () => {
+        const memory = new MemoryExporter();
+        memory.export({});
+        memory.reset();
+        expect(memory.payloads).to.be.empty;
+        expect(memory.last()).to.be.undefined;
+    });
+
+    it('rejects unknown formats', () => {
+        expect(() => new MemoryExporter({ format: 'zipkin' })).to.throw('Unknown format: zipkin');
+    });
+});
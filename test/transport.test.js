@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import send from '../src/transport';
+
+const config = overrides => Object.assign({
+    sendTimeout: 1000,
+    sendRetries: 2,
+    retryBackoff: 0,
+    debug: false,
+}, overrides);
+
+describe('send', () => {
+    it('sends with the configured transport', async () => {
+        const requests = [];
+        const transport = async (request) => {
+            requests.push(request);
+            return new Response('ok');
+        };
+        const request = new Request('https://collector.example.com/', { method: 'POST', body: '{}' });
+        const response = await send(request, config({ transport }));
+        expect(response.status).to.equal(200);
+        expect(requests).to.have.lengthOf(1);
+        expect(await requests[0].text()).to.equal('{}');
+    });
+
+    it('retries transient failures', async () => {
+        const statuses = [503, 429, 200];
+        const transport = async () => new Response('', { status: statuses.shift() });
+        const request = new Request('https://collector.example.com/', { method: 'POST', body: '{}' });
+        const response = await send(request, config({ transport }));
+        expect(response.status).to.equal(200);
+        expect(statuses).to.be.empty;
+    });
+
+    it('fails once the retries are exhausted', async () => {
+        let attempts = 0;
+        const transport = async () => {
+            attempts += 1;
+            throw TypeError('network down');
+        };
+        const request = new Request('https://collector.example.com/');
+        const error = await send(request, config({ transport })).catch(reason => reason);
+        expect(error.message).to.equal('network down');
+        expect(attempts).to.equal(3);
+    });
+
+    it('rejects client errors without retrying', async () => {
+        let attempts = 0;
+        const transport = async () => {
+            attempts += 1;
+            return new Response('', { status: 401 });
+        };
+        const request = new Request('https://collector.example.com/');
+        const error = await send(request, config({ transport })).catch(reason => reason);
+        expect(error.message).to.equal('Collector responded with status 401');
+        expect(attempts).to.equal(1);
+    });
+});
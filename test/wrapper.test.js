@@ -0,0 +1,271 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { expect } from 'chai';
+import {
+    epsagon,
+    wrapModule,
+    MemoryExporter,
+    createTestEvent
+} from '../src';
+import { resetStorage } from '../src/scope';
+
+describe('wrapper', () => {
+    let memory;
+    let originalFetch;
+
+    beforeEach(() => {
+        memory = new MemoryExporter();
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async input => new Response('upstream', {
+            status: String(input.url || input).endsWith('/fail') ? 503 : 200,
+        });
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    describe('epsagon', () => {
+        it('records subrequests as child events', async () => {
+            const listener = epsagon({ exporter: memory }, (event) => {
+                event.respondWith(event.request.tracer.fetch('https://api.example.com/users')
+                    .then(() => new Response('done')));
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            await event.done();
+
+            const [, runner, http] = memory.last().events;
+            expect(http.origin).to.equal('http');
+            expect(http.resource.name).to.equal('api.example.com');
+            expect(http.resource.metadata['http.response.status_code']).to.equal(200);
+            expect(http.resource.metadata['cloudflare.parent_span_id'])
+                .to.equal(runner.resource.metadata['cloudflare.span_id']);
+        });
+
+        it('reports exceptions of the listener on the runner', async () => {
+            const listener = epsagon({ exporter: memory }, (event) => {
+                event.respondWith(Promise.reject(new TypeError('broken')));
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            const error = await event.done().catch(reason => reason);
+            expect(error.message).to.equal('broken');
+
+            const [, runner] = memory.last().events;
+            expect(runner.error_code).to.equal(2);
+            expect(runner.exception.type).to.equal('TypeError');
+            expect(runner.exception.message).to.equal('broken');
+            expect(runner.exception.traceback).to.include('TypeError: broken');
+        });
+
+        it('reports failed waitUntil work', async () => {
+            const listener = epsagon({ exporter: memory }, (event) => {
+                event.waitUntil(Promise.reject(new Error('background')));
+                event.respondWith(new Response('ok'));
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            await event.done();
+
+            const waitUntil = memory.last().events.find(item => item.resource.name === 'waitUntil');
+            expect(waitUntil.error_code).to.equal(2);
+            expect(waitUntil.exception.message).to.equal('background');
+            expect(waitUntil.exception.additional_data.source).to.equal('waitUntil');
+        });
+
+        it('marks server error responses as errors', async () => {
+            const listener = epsagon({ exporter: memory }, (event) => {
+                event.respondWith(event.request.tracer.fetch('https://api.example.com/fail'));
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            await event.done();
+
+            const [trigger, runner, http] = memory.last().events;
+            expect(trigger.error_code).to.equal(1);
+            expect(runner.exception.type).to.equal('HTTPError');
+            expect(http.error_code).to.equal(1);
+        });
+
+        it('drops traces that are not sampled', async () => {
+            const listener = epsagon({ exporter: memory, sampleRates: 0 }, (event) => {
+                event.respondWith(new Response('ok'));
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            await event.done();
+
+            expect(memory.payloads).to.be.empty;
+        });
+
+        it('attributes global fetch calls to the request in flight', async () => {
+            const stub = globalThis.fetch;
+            const listener = epsagon({ exporter: memory, instrumentGlobalFetch: true }, (event) => {
+                event.respondWith(fetch('https://api.example.com/users')
+                    .then(() => new Response('done')));
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            expect(globalThis.fetch).to.not.equal(stub);
+            await event.done();
+
+            const [, runner, http] = memory.last().events;
+            expect(http.resource.name).to.equal('api.example.com');
+            expect(http.resource.metadata['cloudflare.parent_span_id'])
+                .to.equal(runner.resource.metadata['cloudflare.span_id']);
+            expect(globalThis.fetch).to.equal(stub);
+        });
+
+        it('finishes the trace when the listener throws synchronously', async () => {
+            const stub = globalThis.fetch;
+            const listener = epsagon({ exporter: memory, instrumentGlobalFetch: true }, () => {
+                throw new TypeError('sync');
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            listener(event);
+            await event.done();
+
+            const [, runner] = memory.last().events;
+            expect(runner.error_code).to.equal(2);
+            expect(runner.exception.message).to.equal('sync');
+            expect(globalThis.fetch).to.equal(stub);
+        });
+    });
+
+    describe('wrapModule', () => {
+        it('traces the fetch handler with the tracer on the context', async () => {
+            const handler = wrapModule(env => ({ exporter: memory, labels: { plan: env.PLAN } }), {
+                async fetch(request, env, ctx) {
+                    await ctx.tracer.trace('render', span => span.setAttribute('template', 'home'));
+                    return new Response('hi');
+                },
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            const response = await handler.fetch(event.request, { PLAN: 'pro' }, event);
+            expect(await response.text()).to.equal('hi');
+            await event.done();
+
+            const [, runner, span] = memory.last().events;
+            expect(JSON.parse(runner.resource.metadata.labels)).to.deep.equal({ plan: 'pro' });
+            expect(span.resource.name).to.equal('render');
+            expect(span.resource.metadata.template).to.equal('home');
+        });
+
+        it('traces the scheduled handler with a cron trigger', async () => {
+            const handler = wrapModule({ exporter: memory }, {
+                async scheduled(controller, env, ctx) {
+                    ctx.tracer.log('tick');
+                },
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            await handler.scheduled({ cron: '*/5 * * * *', scheduledTime: 0 }, {}, event);
+            await event.done();
+
+            const [trigger, runner] = memory.last().events;
+            expect(trigger.resource.type).to.equal('cloudflare_cron');
+            expect(trigger.resource.name).to.equal('*/5 * * * *');
+            expect(runner.resource.metadata['cloudflare.logs'][0].message).to.equal('tick');
+        });
+
+        it('rejects an invalid config object when wrapping', () => {
+            expect(() => wrapModule({ statusRules: { 500: 'fatal' } }, {})).to.throw();
+        });
+
+        it('runs the handler untraced when a config function fails', async () => {
+            const originalLog = console.log;
+            console.log = () => undefined;
+            const handler = wrapModule(() => ({ exporter: memory, statusRules: { 500: 'fatal' } }), {
+                async fetch() {
+                    return new Response('untraced');
+                },
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            try {
+                const response = await handler.fetch(event.request, {}, event);
+                expect(await response.text()).to.equal('untraced');
+            } finally {
+                console.log = originalLog;
+            }
+            await event.done();
+            expect(memory.payloads).to.have.length(0);
+        });
+
+        it('hands waitUntil work to the runtime once the trace is done', async () => {
+            let tracedCtx;
+            const handler = wrapModule({ exporter: memory }, {
+                async fetch(request, env, ctx) {
+                    tracedCtx = ctx;
+                    return new Response('ok');
+                },
+            });
+            const event = createTestEvent('https://foo.example.com/');
+            await (await handler.fetch(event.request, {}, event)).text();
+            await event.done();
+            expect(memory.payloads).to.have.lengthOf(1);
+
+            let lateWork = false;
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(() => tracedCtx.waitUntil(Promise.resolve().then(() => {
+                lateWork = true;
+            }))).to.not.throw();
+            await event.done();
+            expect(lateWork).to.be.true;
+            expect(memory.payloads).to.have.lengthOf(1);
+        });
+
+        describe('global fetch scoping', () => {
+            afterEach(() => {
+                resetStorage();
+            });
+
+            const runConcurrently = async (config, paths) => {
+                let release;
+                const gate = new Promise((resolve) => {
+                    release = resolve;
+                });
+                const handler = wrapModule(Object.assign({
+                    exporter: memory,
+                    instrumentGlobalFetch: true,
+                }, config), {
+                    async fetch(request, env, ctx) {
+                        await gate;
+                        const { pathname } = new URL(request.url);
+                        await ctx.tracer.trace('load', () => fetch(`https://api.example.com${pathname}`));
+                        return new Response('ok');
+                    },
+                });
+                const requests = paths.map(async (path) => {
+                    const event = createTestEvent(`https://foo.example.com${path}`);
+                    await (await handler.fetch(event.request, {}, event)).text();
+                    await event.done();
+                });
+                release();
+                await Promise.all(requests);
+                return memory.payloads.map(payload => payload.events);
+            };
+
+            it('leaves global fetch calls untraced when requests overlap', async () => {
+                const traces = await runConcurrently({}, ['/a', '/b']);
+                expect(traces).to.have.lengthOf(2);
+                traces.forEach((events) => {
+                    expect(events.filter(item => item.origin === 'http')).to.be.empty;
+                });
+            });
+
+            it('attributes global fetch calls with AsyncLocalStorage', async () => {
+                const traces = await runConcurrently({ asyncLocalStorage: AsyncLocalStorage },
+                    ['/a', '/b']);
+                expect(traces).to.have.lengthOf(2);
+                traces.forEach((events) => {
+                    const [trigger] = events;
+                    const span = events.find(item => item.resource.name === 'load');
+                    const http = events.find(item => item.origin === 'http');
+                    expect(http.resource.metadata['http.request.path'])
+                        .to.equal(trigger.resource.metadata['http.request.path']);
+                    expect(http.resource.metadata['cloudflare.parent_span_id'])
+                        .to.equal(span.resource.metadata['cloudflare.span_id']);
+                });
+            });
+        });
+    });
+});